@@ -0,0 +1,115 @@
+// Abilities and status effects. A type lists its abilities (ABILITIES in
+// unit-types.js) and each one hooks into the engine at some of these moments:
+//
+//   onTurn(warrior, target, sim)     the unit has picked an enemy to go after
+//   onFire(warrior, shot, sim)       it loosed a projectile
+//   onMeleeHit(warrior, target, sim) it landed a melee blow on a living enemy
+//   onHit(warrior, target, sim)      any of its blows or shots hit a living enemy
+//   onHurt(warrior, attacker, sim)   it took damage and is still standing
+//
+// Active abilities have a cooldown of their own and only spend it when the
+// hook returns true to say it fired; passive ones apply every time. Status
+// effects are timed conditions on a unit that the engine checks when it moves,
+// attacks and takes damage.
+
+// What each status effect does while it lasts
+export const STATUS_EFFECTS = {
+  // Moves at a fraction of its speed
+  slow: { label: "Slowed", speed: 0.5 },
+  // Can neither move, turn nor attack
+  stun: { label: "Stunned", speed: 0, stunned: true },
+  // Loses hit points every second, credited to whoever set it alight
+  burn: { label: "Burning", damagePerSecond: 6 },
+  // Takes only a share of the damage of every blow
+  armor: { label: "Armored", damageTaken: 0.5 },
+  // Moves several times faster, for a dash
+  haste: { label: "Dashing", speed: 3 },
+};
+
+// Dashers burst forward at targets between these distances
+const DASH_BAND = { min: 60, max: 180 };
+
+// Enemies a piercing shot carries on through before it stops
+const PIERCE_COUNT = 2;
+
+export const ABILITY_RULES = {
+  "shield-bash": {
+    name: "Shield Bash",
+    cooldown: 6,
+    onMeleeHit(warrior, target) {
+      target.applyEffect("stun", 1.2, warrior);
+      return true;
+    },
+  },
+
+  dash: {
+    name: "Dash",
+    cooldown: 5,
+    onTurn(warrior, target) {
+      const distance = warrior.distanceTo(target);
+      if (distance < DASH_BAND.min || distance > DASH_BAND.max) {
+        return false;
+      }
+      warrior.applyEffect("haste", 0.35, warrior);
+      return true;
+    },
+  },
+
+  "piercing-shot": {
+    name: "Piercing Shot",
+    onFire(warrior, shot) {
+      shot.pierce = PIERCE_COUNT;
+    },
+  },
+
+  "splash-shot": {
+    name: "Splash Shot",
+    cooldown: 5,
+    onFire(warrior, shot) {
+      shot.splash = { radius: 40, share: 0.5, burn: 3 };
+      return true;
+    },
+  },
+
+  frost: {
+    name: "Frost",
+    onHit(warrior, target) {
+      target.applyEffect("slow", 1.5, warrior);
+    },
+  },
+
+  "iron-skin": {
+    name: "Iron Skin",
+    cooldown: 10,
+    onHurt(warrior) {
+      if (warrior.hp > warrior.config.hp / 2) {
+        return false;
+      }
+      warrior.applyEffect("armor", 4, warrior);
+      return true;
+    },
+  },
+};
+
+// Run one hook for every ability the warrior has. Active abilities still
+// cooling down sit it out; the rest start their cooldown when they fire.
+export function triggerAbilities(warrior, hook, subject, sim) {
+  for (const ability of warrior.config.abilities) {
+    const rule = ABILITY_RULES[ability];
+    if (!rule[hook]) continue;
+    if (!rule.cooldown) {
+      rule[hook](warrior, subject, sim);
+      continue;
+    }
+    if ((warrior.abilityCooldowns[ability] ?? 0) > 0) continue;
+    if (rule[hook](warrior, subject, sim)) {
+      warrior.abilityCooldowns[ability] = rule.cooldown;
+      sim.emit({ kind: "ability", ability, x: warrior.x, y: warrior.y });
+    }
+  }
+}
+
+// The most a type's own abilities can ever multiply its speed by
+export function topSpeedFactor(config) {
+  return config.abilities.includes("dash") ? STATUS_EFFECTS.haste.speed : 1;
+}
@@ -0,0 +1,165 @@
+// Live dashboard for the battle on the arena: one small line chart per metric
+// in METRICS, redrawn as samples come in, and a summary table once the battle
+// is decided.
+
+import { METRICS } from "./analytics.js";
+
+const PADDING = { left: 36, right: 8, top: 22, bottom: 18 };
+
+let panel = null;
+
+function formatNumber(value) {
+  return value >= 1000 ? `${(value / 1000).toFixed(1)}k` : `${Math.round(value)}`;
+}
+
+function drawChart(ctx, metric, stats) {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "11px Inter, system-ui, sans-serif";
+  ctx.fillStyle = "rgba(255,255,255,0.6)";
+  ctx.textBaseline = "top";
+  ctx.fillText(metric.label, PADDING.left, 4);
+
+  const { samples, types } = stats;
+  const last = samples[samples.length - 1];
+  const duration = Math.max(1, last.time);
+  let peak = 1;
+  for (const sample of samples) {
+    for (const type of types) {
+      peak = Math.max(peak, sample[metric.id][type]);
+    }
+  }
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const toX = (time) => PADDING.left + (time / duration) * plotWidth;
+  const toY = (value) => PADDING.top + plotHeight - (value / peak) * plotHeight;
+
+  ctx.strokeStyle = "rgba(255,255,255,0.15)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(PADDING.left, PADDING.top);
+  ctx.lineTo(PADDING.left, PADDING.top + plotHeight);
+  ctx.lineTo(PADDING.left + plotWidth, PADDING.top + plotHeight);
+  ctx.stroke();
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  ctx.fillText(formatNumber(peak), PADDING.left - 4, PADDING.top);
+  ctx.fillText("0", PADDING.left - 4, PADDING.top + plotHeight);
+  ctx.textBaseline = "top";
+  ctx.fillText(`${last.time.toFixed(0)}s`, PADDING.left + plotWidth, PADDING.top + plotHeight + 4);
+  ctx.textAlign = "left";
+
+  ctx.lineWidth = 2;
+  for (const type of types) {
+    ctx.strokeStyle = stats.sim.types[type].color;
+    ctx.beginPath();
+    samples.forEach((sample, i) => {
+      const x = toX(sample.time);
+      const y = toY(sample[metric.id][type]);
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.stroke();
+  }
+}
+
+function cell(text) {
+  const td = document.createElement("td");
+  td.textContent = text;
+  return td;
+}
+
+function renderSummary(stats, table, notes) {
+  const summary = stats.summary();
+  const { types } = stats.sim;
+  const rows = stats.types.map((type) => {
+    const { dps, dealt, taken, kills } = summary.perType[type];
+    const row = document.createElement("tr");
+    row.style.setProperty("--unit-color", types[type].color);
+    row.append(
+      cell(types[type].name),
+      cell(dps.toFixed(1)),
+      cell(formatNumber(dealt)),
+      cell(formatNumber(taken)),
+      cell(kills)
+    );
+    return row;
+  });
+  table.querySelector("tbody").replaceChildren(...rows);
+  table.hidden = false;
+
+  const lines = [];
+  if (summary.winner) {
+    lines.push(`${summary.winner.name} won in ${summary.timeToVictory.toFixed(1)}s.`);
+  } else {
+    lines.push(`Mutual wipe after ${summary.timeToVictory.toFixed(1)}s.`);
+  }
+  const best = summary.bestMatchup;
+  if (best) {
+    const traded = best.returned > 0 ? `${best.ratio.toFixed(1)}× the damage it took back` : "without taking any back";
+    lines.push(
+      `Most effective matchup: ${types[best.attacker].name} → ${types[best.victim].name}, ` +
+        `${formatNumber(best.damage)} damage and ${best.kills} ${best.kills === 1 ? "kill" : "kills"}, ${traded}.`
+    );
+  }
+  notes.replaceChildren(
+    ...lines.map((line) => {
+      const p = document.createElement("p");
+      p.textContent = line;
+      return p;
+    })
+  );
+}
+
+// Redraw the dashboard from a BattleStats; adds the summary once its battle
+// has finished.
+export function showAnalytics(stats) {
+  panel?.show(stats);
+}
+
+// Back to the empty state, e.g. when the arena is reset
+export function clearAnalytics() {
+  panel?.clear();
+}
+
+export function initAnalyticsPanel() {
+  const charts = document.getElementById("analytics-charts");
+  const status = document.getElementById("analytics-status");
+  const table = document.getElementById("analytics-summary");
+  const notes = document.getElementById("analytics-notes");
+  const idleText = status.textContent;
+
+  const contexts = METRICS.map((metric) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = 320;
+    canvas.height = 150;
+    canvas.setAttribute("aria-label", `${metric.label} over time`);
+    charts.append(canvas);
+    return canvas.getContext("2d");
+  });
+
+  panel = {
+    show(stats) {
+      METRICS.forEach((metric, i) => drawChart(contexts[i], metric, stats));
+      charts.hidden = false;
+      if (stats.sim.finished) {
+        status.textContent = "";
+        renderSummary(stats, table, notes);
+      } else {
+        status.textContent = `Recording · ${stats.sim.time.toFixed(1)}s`;
+        table.hidden = true;
+        notes.replaceChildren();
+      }
+    },
+    clear() {
+      charts.hidden = true;
+      table.hidden = true;
+      notes.replaceChildren();
+      status.textContent = idleText;
+    },
+  };
+  panel.clear();
+}
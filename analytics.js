@@ -0,0 +1,108 @@
+// Battle analytics. A BattleStats watches a Simulation and samples, per unit
+// type, how many are alive, their combined HP and the running damage and kill
+// tallies, so they can be charted over time and summed up once the battle is
+// over. Nothing here touches the DOM.
+
+export const METRICS = [
+  { id: "alive", label: "Alive" },
+  { id: "hp", label: "Total HP" },
+  { id: "dealt", label: "Damage dealt" },
+  { id: "taken", label: "Damage taken" },
+  { id: "kills", label: "Kills" },
+];
+
+// Seconds of battle between samples
+const SAMPLE_EVERY = 0.25;
+
+// A matchup needs at least this share of all damage done to count as the most
+// effective one, so a single stray hit can't win it.
+const MATCHUP_MIN_SHARE = 0.05;
+
+export class BattleStats {
+  constructor(sim, { sampleEvery = SAMPLE_EVERY } = {}) {
+    this.sim = sim;
+    this.sampleEvery = sampleEvery;
+    // Only the types that took the field, or a side will send in later, get
+    // a line
+    const fielded = new Set(sim.warriors.map((warrior) => warrior.type));
+    for (const team of sim.teams) {
+      Object.keys(team.counts).forEach((type) => {
+        if (team.counts[type] > 0) fielded.add(type);
+      });
+    }
+    this.types = Object.keys(sim.types).filter((type) => fielded.has(type));
+    // One { time, alive, hp, dealt, taken, kills } per sample, each metric
+    // keyed by type
+    this.samples = [];
+    this.nextSample = 0;
+    this.sample();
+  }
+
+  sample() {
+    const { sim } = this;
+    const entry = { time: sim.time, alive: {}, hp: {}, dealt: {}, taken: {}, kills: {} };
+    for (const type of this.types) {
+      entry.alive[type] = 0;
+      entry.hp[type] = 0;
+      entry.dealt[type] = sim.tally[type].dealt;
+      entry.taken[type] = sim.tally[type].taken;
+      entry.kills[type] = sim.tally[type].kills;
+    }
+    for (const warrior of sim.warriors) {
+      if (warrior.alive && entry.alive[warrior.type] !== undefined) {
+        entry.alive[warrior.type] += 1;
+        entry.hp[warrior.type] += warrior.hp;
+      }
+    }
+    this.samples.push(entry);
+    this.nextSample = sim.time + this.sampleEvery;
+  }
+
+  // Call once after every sim.step(). Returns true when a sample was taken.
+  record() {
+    if (this.sim.time + 1e-9 >= this.nextSample || this.sim.finished) {
+      if (this.samples[this.samples.length - 1].time === this.sim.time) {
+        return false;
+      }
+      this.sample();
+      return true;
+    }
+    return false;
+  }
+
+  // Per-type totals, the most lopsided matchup and how long the battle took.
+  // timeToVictory is null while the battle is undecided.
+  summary() {
+    const { sim } = this;
+    const duration = sim.time;
+    const perType = {};
+    let totalDamage = 0;
+    for (const type of this.types) {
+      const { dealt, taken, kills } = sim.tally[type];
+      perType[type] = { dps: duration > 0 ? dealt / duration : 0, dealt, taken, kills };
+      totalDamage += dealt;
+    }
+
+    // Damage dealt from one type to another against what came back
+    let bestMatchup = null;
+    for (const attacker of this.types) {
+      for (const victim of this.types) {
+        const { damage, kills } = sim.matchups[attacker][victim];
+        if (damage === 0 || damage < totalDamage * MATCHUP_MIN_SHARE) continue;
+        const returned = sim.matchups[victim][attacker].damage;
+        const ratio = damage / Math.max(1, returned);
+        if (!bestMatchup || ratio > bestMatchup.ratio) {
+          bestMatchup = { attacker, victim, damage, kills, returned, ratio };
+        }
+      }
+    }
+
+    return {
+      duration,
+      timeToVictory: sim.finished ? duration : null,
+      winner: sim.winningTeam,
+      perType,
+      bestMatchup,
+    };
+  }
+}
@@ -0,0 +1,75 @@
+import { cosmeticRandom } from "./rng.js";
+
+// Audio context for sound effects
+let audioContext = null;
+function getAudioContext() {
+  if (!audioContext) {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  return audioContext;
+}
+
+export function playHitSound() {
+  try {
+    const ctx = getAudioContext();
+    const oscillator = ctx.createOscillator();
+    const gainNode = ctx.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(ctx.destination);
+
+    // Short, sharp "tck" sound - high frequency, very brief
+    const frequency = 1000 + cosmeticRandom() * 200; // 1000-1200 Hz
+    const duration = 0.06; // Very short
+    const attackTime = 0.002; // Instant attack
+    const decayTime = 0.058; // Quick decay
+
+    oscillator.type = "sine";
+    oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
+
+    // Envelope: instant attack, quick decay
+    const now = ctx.currentTime;
+    gainNode.gain.setValueAtTime(0, now);
+    gainNode.gain.linearRampToValueAtTime(0.08, now + attackTime); // Subtle volume
+    gainNode.gain.linearRampToValueAtTime(0, now + attackTime + decayTime);
+
+    oscillator.start(now);
+    oscillator.stop(now + duration);
+  } catch (e) {
+    // Silently fail if audio context creation fails (e.g., user interaction required)
+    console.debug("Audio context not available:", e);
+  }
+}
+
+// sound is the unit type's { wave, pitch, spread, duration } definition
+export function playDeathSound(sound) {
+  try {
+    const ctx = getAudioContext();
+    const oscillator = ctx.createOscillator();
+    const gainNode = ctx.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(ctx.destination);
+
+    const frequency = sound.pitch + cosmeticRandom() * sound.spread;
+    const duration = sound.duration;
+    // Quick attack, the rest of the sound is decay
+    const attackTime = Math.min(0.02, duration * 0.1);
+    const decayTime = duration - attackTime;
+    oscillator.type = sound.wave;
+
+    oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
+
+    // Envelope: quick attack, then decay
+    const now = ctx.currentTime;
+    gainNode.gain.setValueAtTime(0, now);
+    gainNode.gain.linearRampToValueAtTime(0.15, now + attackTime);
+    gainNode.gain.linearRampToValueAtTime(0, now + attackTime + decayTime);
+
+    oscillator.start(now);
+    oscillator.stop(now + duration);
+  } catch (e) {
+    // Silently fail if audio context creation fails (e.g., user interaction required)
+    console.debug("Audio context not available:", e);
+  }
+}
@@ -0,0 +1,140 @@
+// Results panel for Monte Carlo batches. The heavy lifting happens in
+// batch-worker.js; this module only wires up the controls and renders
+// whatever summary the worker last reported.
+
+import { batchSides } from "./batch.js";
+import { TYPE_CONFIG } from "./unit-types.js";
+
+const BATCH_LIMITS = { min: 1, max: 5000 };
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function formatInterval(low, high, format) {
+  return `${format(low)}–${format(high)}`;
+}
+
+function outcomeRow(label, outcome, survivors) {
+  const row = document.createElement("tr");
+  const name = document.createElement("td");
+  name.textContent = label;
+  const rate = document.createElement("td");
+  rate.textContent = formatPercent(outcome.rate);
+  const rateCi = document.createElement("span");
+  rateCi.className = "ci";
+  rateCi.textContent = formatInterval(outcome.low, outcome.high, formatPercent);
+  rate.append(rateCi);
+  const alive = document.createElement("td");
+  if (survivors) {
+    alive.textContent = survivors.mean.toFixed(1);
+    const aliveCi = document.createElement("span");
+    aliveCi.className = "ci";
+    aliveCi.textContent = formatInterval(
+      Math.max(0, survivors.low),
+      survivors.high,
+      (value) => value.toFixed(1)
+    );
+    alive.append(aliveCi);
+  } else {
+    alive.textContent = "—";
+  }
+  row.append(name, rate, alive);
+  return row;
+}
+
+// getForces returns the armies as Simulation options: { counts } or { teams },
+// plus the spawn layout and, for survival, the waves they face, or throws with
+// a message when they can't be fought.
+export function initBatchPanel({ getForces, getSeed }) {
+  const runsInput = document.getElementById("batch-runs");
+  const batchBtn = document.getElementById("batch-btn");
+  const status = document.getElementById("batch-status");
+  const table = document.getElementById("batch-results");
+  const tbody = table.querySelector("tbody");
+  const duration = document.getElementById("batch-duration");
+  let worker = null;
+  let sides = [];
+  let survival = false;
+
+  function renderSummary(summary) {
+    tbody.replaceChildren();
+    for (const side of sides) {
+      const row = outcomeRow(side.name, summary.outcomes[side.id], summary.survivors[side.id]);
+      row.style.setProperty("--unit-color", side.color);
+      tbody.append(row);
+    }
+    // Only surface draws and stalemates when they actually happened
+    if (summary.outcomes.draw.count > 0) {
+      tbody.append(outcomeRow("Mutual wipe", summary.outcomes.draw));
+    }
+    if (summary.outcomes.timeout.count > 0) {
+      tbody.append(outcomeRow(survival ? "Held to the time limit" : "Timed out", summary.outcomes.timeout));
+    }
+    table.hidden = false;
+
+    const { mean, low, high } = summary.duration;
+    duration.textContent = `Mean battle length ${mean.toFixed(1)}s (${low.toFixed(1)}–${high.toFixed(1)}s)`;
+    if (summary.score) {
+      const score = summary.score;
+      const range = formatInterval(Math.max(0, score.low), score.high, Math.round);
+      duration.textContent += ` · mean score ${Math.round(score.mean)} pts (${range})`;
+    }
+    duration.hidden = false;
+  }
+
+  function stopWorker() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    batchBtn.textContent = "Run Batch";
+    batchBtn.classList.remove("cancel");
+  }
+
+  function startBatch() {
+    if (worker) {
+      stopWorker();
+      status.textContent = "Batch cancelled.";
+      return;
+    }
+
+    const runs = Math.round(
+      Math.min(BATCH_LIMITS.max, Math.max(BATCH_LIMITS.min, Number(runsInput.value) || BATCH_LIMITS.min))
+    );
+    runsInput.value = runs;
+    let forces;
+    try {
+      forces = getForces();
+    } catch (error) {
+      status.textContent = error.message;
+      return;
+    }
+    const seed = getSeed();
+    sides = batchSides(forces, TYPE_CONFIG);
+    survival = Boolean(forces.waves);
+
+    worker = new Worker(new URL("./batch-worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      renderSummary(data.summary);
+      if (data.kind === "done") {
+        status.textContent = `${data.runs} ${survival ? "survival runs" : "battles"} · seed ${seed}`;
+        stopWorker();
+      } else {
+        status.textContent = `Running… ${data.done}/${data.runs} · seed ${seed}`;
+      }
+    };
+    worker.onerror = (event) => {
+      console.warn("Batch worker failed:", event);
+      status.textContent = "Batch failed. See the console for details.";
+      stopWorker();
+    };
+    worker.postMessage({ forces, runs, seed, types: TYPE_CONFIG });
+
+    status.textContent = `Running… 0/${runs} · seed ${seed}`;
+    batchBtn.textContent = "Cancel";
+    batchBtn.classList.add("cancel");
+  }
+
+  batchBtn.addEventListener("click", startBatch);
+}
@@ -0,0 +1,26 @@
+// Runs a Monte Carlo batch off the main thread so the page stays responsive.
+// Posts partial summaries while it works so the results panel fills in live.
+// Unit types travel with the message since custom types only exist in the
+// page that created them.
+
+import { batchSides, runBatch, summarizeBatch } from "./batch.js";
+
+self.onmessage = ({ data }) => {
+  const { forces, runs, seed, types } = data;
+  const sides = batchSides(forces, types).map((team) => team.id);
+  const reportEvery = Math.max(1, Math.floor(runs / 20));
+  const partial = [];
+  const results = runBatch({
+    ...forces,
+    runs,
+    seed,
+    types,
+    onResult(result, i) {
+      partial.push(result);
+      if ((i + 1) % reportEvery === 0 && i + 1 < runs) {
+        self.postMessage({ kind: "progress", done: i + 1, runs, summary: summarizeBatch(partial, sides) });
+      }
+    },
+  });
+  self.postMessage({ kind: "done", done: runs, runs, summary: summarizeBatch(results, sides) });
+};
@@ -0,0 +1,128 @@
+// Monte Carlo helpers: run many headless battles of one composition and boil
+// the outcomes down to win rates and averages with 95% confidence intervals.
+// Survival setups batch whole survival runs against their wave file.
+
+import { resolveTeams, runBattle } from "./simulation.js";
+import { randomSeed } from "./rng.js";
+import { DEFENDERS_TEAM, WAVES_TEAM, runSurvival } from "./survival.js";
+import { TYPE_CONFIG } from "./unit-types.js";
+
+const Z_95 = 1.96;
+
+// Each run gets its own derived seed so a whole batch is reproducible from
+// the base seed, and any single run can be replayed in the arena.
+export function batchRunSeed(seed, index) {
+  return `${seed}:${index}`;
+}
+
+// The sides a batch of these forces reports on, as { id, name, color }
+export function batchSides(forces, types = TYPE_CONFIG) {
+  return forces.waves ? [DEFENDERS_TEAM, WAVES_TEAM] : resolveTeams(forces, types);
+}
+
+// waves, when given, makes every run a survival run against that wave file
+export function runBatch({
+  counts,
+  teams,
+  layout,
+  placed,
+  map,
+  matchups,
+  waves,
+  runs,
+  seed = randomSeed(),
+  maxTime,
+  types,
+  onResult,
+} = {}) {
+  const results = [];
+  for (let i = 0; i < runs; i += 1) {
+    const options = {
+      seed: batchRunSeed(seed, i),
+      maxTime,
+      types,
+      teams,
+      layout,
+      placed,
+      map,
+      matchups,
+    };
+    const result = waves ? runSurvival(counts, { ...options, waves }) : runBattle(counts, options);
+    results.push(result);
+    if (onResult) {
+      onResult(result, i);
+    }
+  }
+  return results;
+}
+
+// Wilson score interval: behaves sensibly for small samples and rates near
+// 0% or 100%, unlike the plain normal approximation.
+function proportionInterval(successes, total) {
+  if (total === 0) {
+    return { rate: 0, low: 0, high: 0 };
+  }
+  const p = successes / total;
+  const z2 = Z_95 * Z_95;
+  const denominator = 1 + z2 / total;
+  const center = (p + z2 / (2 * total)) / denominator;
+  const margin = (Z_95 * Math.sqrt((p * (1 - p)) / total + z2 / (4 * total * total))) / denominator;
+  return {
+    rate: p,
+    low: Math.max(0, center - margin),
+    high: Math.min(1, center + margin),
+  };
+}
+
+function meanInterval(values) {
+  const n = values.length;
+  if (n === 0) {
+    return { mean: 0, low: 0, high: 0 };
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const variance = n > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)
+    : 0;
+  const margin = Z_95 * Math.sqrt(variance / n);
+  return { mean, low: mean - margin, high: mean + margin };
+}
+
+// sides lists the team ids that can win; for a free-for-all by shape those
+// are simply the unit type ids. Survival runs also get their mean score.
+export function summarizeBatch(results, sides = Object.keys(TYPE_CONFIG)) {
+  const total = results.length;
+  const tally = { draw: 0, timeout: 0 };
+  sides.forEach((side) => {
+    tally[side] = 0;
+  });
+  for (const result of results) {
+    if (!result.finished) {
+      tally.timeout += 1;
+    } else if (result.winner) {
+      tally[result.winner] += 1;
+    } else {
+      tally.draw += 1;
+    }
+  }
+
+  const outcomes = {};
+  for (const [key, count] of Object.entries(tally)) {
+    outcomes[key] = { count, ...proportionInterval(count, total) };
+  }
+
+  const survivors = {};
+  for (const side of sides) {
+    survivors[side] = meanInterval(results.map((result) => result.survivors[side] ?? 0));
+  }
+
+  const summary = {
+    runs: total,
+    outcomes,
+    duration: meanInterval(results.map((result) => result.duration)),
+    survivors,
+  };
+  if (results.some((result) => result.score !== undefined)) {
+    summary.score = meanInterval(results.map((result) => result.score ?? 0));
+  }
+  return summary;
+}
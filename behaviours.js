@@ -0,0 +1,236 @@
+// Unit tactics. Each turn a unit asks its targeting policy which enemy to go
+// after, then runs its steering stack to decide where to move: the type's
+// approach (see APPROACHES in unit-types.js) first, then whatever modifiers
+// its archetype brings, each refining the plan the one before it left.
+// Behaviours only see the battle through the warrior and sim they are handed.
+
+// How far a unit looks for a weak enemy to focus, or a hurt ally to protect
+const FOCUS_RADIUS = 250;
+const PROTECT_RADIUS = 200;
+
+// Ranged units dodge anything hostile that comes this close, and count as
+// evading for this many seconds after their last dodge
+const EVADE_RADIUS = 50;
+const EVADE_LINGER = 0.5;
+
+// Kiters turn at this many radians per second instead of snapping around
+const KITE_TURN_RATE = 3.0;
+
+// Flankers circle until they are this far behind their target's shoulder
+const FLANK_SLACK = 30;
+
+function nearestEnemy(warrior, sim, x = warrior.x, y = warrior.y) {
+  return sim.nearestEnemy(warrior, x, y);
+}
+
+// One picker per policy in TARGETING_POLICIES. Each returns a living enemy, or
+// null once there are none left.
+export const TARGETING = {
+  nearest(warrior, sim) {
+    return nearestEnemy(warrior, sim);
+  },
+
+  // The enemy with the fewest hit points close by, so damage finishes units
+  // off instead of spreading; the nearest one when nobody is close
+  "lowest-hp"(warrior, sim) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const enemy of sim.enemiesNear(warrior, warrior.x, warrior.y, FOCUS_RADIUS)) {
+      if (!warrior.isEnemy(enemy)) continue;
+      const distance = warrior.distanceTo(enemy);
+      if (distance > FOCUS_RADIUS) continue;
+      if (!best || enemy.hp < best.hp || (enemy.hp === best.hp && distance < bestDistance)) {
+        best = enemy;
+        bestDistance = distance;
+      }
+    }
+    return best ?? nearestEnemy(warrior, sim);
+  },
+
+  // Whoever is closest to the most badly hurt ally nearby
+  "protect-allies"(warrior, sim) {
+    let ward = null;
+    sim.teamGrid(warrior.team).forEachNear(warrior.x, warrior.y, PROTECT_RADIUS, (ally) => {
+      if (!warrior.isAlly(ally) || ally.hp >= ally.config.hp) return;
+      if (warrior.distanceTo(ally) > PROTECT_RADIUS) return;
+      if (!ward || ally.hp / ally.config.hp < ward.hp / ward.config.hp) {
+        ward = ally;
+      }
+    });
+    return ward ? nearestEnemy(warrior, sim, ward.x, ward.y) : nearestEnemy(warrior, sim);
+  },
+};
+
+// Steering behaviours. steer() adjusts the plan in place; onHit() runs after
+// the unit lands a melee blow.
+export const STEERING = {
+  // Straight at the target until the two bodies touch
+  charge: {
+    steer(warrior, plan) {
+      plan.move = plan.dist > warrior.config.size + plan.target.config.size;
+    },
+  },
+
+  // Swing around to the target's back before closing in, so it has to turn to
+  // answer
+  flank: {
+    steer(warrior, plan) {
+      const { target, dx, dy, dist } = plan;
+      const contact = warrior.config.size + target.config.size;
+      plan.move = dist > contact;
+      const facingX = Math.cos(target.heading);
+      const facingY = Math.sin(target.heading);
+      // 1 straight in front of the target, -1 right behind it
+      const front = -(dx * facingX + dy * facingY) / dist;
+      if (front <= -0.5 || dist <= contact + FLANK_SLACK) {
+        return;
+      }
+      // Circle the target on whichever side leads round to its back, spiralling
+      // in as we go
+      let sideX = -dy / dist;
+      let sideY = dx / dist;
+      if (sideX * facingX + sideY * facingY > 0) {
+        sideX = -sideX;
+        sideY = -sideY;
+      }
+      const x = plan.dirX * 0.5 + sideX * 0.8;
+      const y = plan.dirY * 0.5 + sideY * 0.8;
+      const mag = Math.hypot(x, y) || 1;
+      plan.dirX = x / mag;
+      plan.dirY = y / mag;
+    },
+  },
+
+  // Hold a band just inside attack range: back off from anything too close,
+  // move in when out of range or out of sight, strafe while in the band
+  kite: {
+    steer(warrior, plan, sim) {
+      const { dx, dy, dist } = plan;
+      const pref = warrior.config.preferred;
+      const inSight = sim.canSee(warrior, plan.target);
+      plan.move = dist < pref.min * 1.4 || dist > warrior.config.range || !inSight;
+      if (dist < pref.min) {
+        plan.dirX = -dx / dist;
+        plan.dirY = -dy / dist;
+      } else if (dist <= pref.max && plan.move && inSight) {
+        // Strafe by rotating the direction 90 degrees
+        const temp = plan.dirX;
+        plan.dirX = -plan.dirY;
+        plan.dirY = temp;
+      }
+      plan.turnRate = KITE_TURN_RATE;
+    },
+  },
+
+  // Sidestep enemies and incoming shots that get close, projectiles more
+  // urgently
+  evade: {
+    steer(warrior, plan, sim) {
+      let evadeX = 0;
+      let evadeY = 0;
+      for (const enemy of sim.enemiesNear(warrior, warrior.x, warrior.y, EVADE_RADIUS)) {
+        if (!warrior.isEnemy(enemy)) continue;
+        const enemyDx = enemy.x - warrior.x;
+        const enemyDy = enemy.y - warrior.y;
+        const squared = enemyDx * enemyDx + enemyDy * enemyDy;
+        if (squared >= EVADE_RADIUS * EVADE_RADIUS) continue;
+        const enemyDist = Math.sqrt(squared);
+        if (enemyDist > 0) {
+          const strength = (EVADE_RADIUS - enemyDist) / EVADE_RADIUS;
+          evadeX -= (enemyDx / enemyDist) * strength;
+          evadeY -= (enemyDy / enemyDist) * strength;
+        }
+      }
+      sim.projectileGrid.forEachNear(warrior.x, warrior.y, EVADE_RADIUS, (projectile) => {
+        if (!projectile.alive || projectile.ownerTeam === warrior.team) return;
+        const projDx = projectile.x - warrior.x;
+        const projDy = projectile.y - warrior.y;
+        const projDist = Math.hypot(projDx, projDy);
+        if (projDist < EVADE_RADIUS && projDist > 0) {
+          const strength = (EVADE_RADIUS - projDist) / EVADE_RADIUS;
+          evadeX -= (projDx / projDist) * strength * 1.5;
+          evadeY -= (projDy / projDist) * strength * 1.5;
+        }
+      });
+      if (Math.abs(evadeX) <= 0.1 && Math.abs(evadeY) <= 0.1) {
+        return;
+      }
+      warrior.evadeTimer = EVADE_LINGER;
+      const evadeMag = Math.hypot(evadeX, evadeY);
+      evadeX /= evadeMag;
+      evadeY /= evadeMag;
+      // 70% evasion, 30% whatever the plan was
+      let dirX = plan.dirX * 0.3 + evadeX * 0.7;
+      let dirY = plan.dirY * 0.3 + evadeY * 0.7;
+      const blendMag = Math.hypot(dirX, dirY);
+      if (blendMag > 0) {
+        dirX /= blendMag;
+        dirY /= blendMag;
+      }
+      plan.dirX = dirX;
+      plan.dirY = dirY;
+    },
+  },
+
+  // After each hit, back-step and sidestep for a moment before going again;
+  // longer against tanks so skirmishers clearly pick at them
+  "stick-and-move": {
+    steer(warrior, plan) {
+      if (warrior.wantRetreat <= 0) return;
+      plan.move = true;
+      // 60% back away from the last blow, 40% to the side of it
+      const x = -warrior.lastHitDirX * 0.6 - warrior.lastHitDirY * 0.4;
+      const y = -warrior.lastHitDirY * 0.6 + warrior.lastHitDirX * 0.4;
+      const mag = Math.hypot(x, y) || 1;
+      plan.dirX = x / mag;
+      plan.dirY = y / mag;
+    },
+    onHit(warrior, target) {
+      const dx = target.x - warrior.x;
+      const dy = target.y - warrior.y;
+      const dist = Math.hypot(dx, dy) || 1;
+      warrior.lastHitDirX = dx / dist;
+      warrior.lastHitDirY = dy / dist;
+      warrior.wantRetreat = target.config.archetype === "tank" ? 0.8 : 0.4;
+    },
+  },
+};
+
+// What each archetype layers on top of its approach
+const ARCHETYPE_MODIFIERS = {
+  skirmisher: ["stick-and-move"],
+  tank: [],
+  ranged: ["evade"],
+  healer: [],
+};
+
+// The targeting policy and steering stack for a normalized type definition
+export function tacticsFor(config) {
+  return {
+    pickTarget: TARGETING[config.targeting] ?? TARGETING.nearest,
+    steering: [config.approach, ...(ARCHETYPE_MODIFIERS[config.archetype] ?? [])].map((name) => STEERING[name]),
+  };
+}
+
+// Run a steering stack against a target. The plan starts as "head straight
+// for it"; the result says which way to go, whether to actually move this
+// tick and how fast the unit may turn to face that way.
+export function planMove(warrior, target, steering, sim) {
+  const dx = target.x - warrior.x;
+  const dy = target.y - warrior.y;
+  const dist = Math.hypot(dx, dy) || 1;
+  const plan = {
+    target,
+    dx,
+    dy,
+    dist,
+    dirX: dx / dist,
+    dirY: dy / dist,
+    move: true,
+    turnRate: Infinity,
+  };
+  for (const behaviour of steering) {
+    behaviour.steer(warrior, plan, sim);
+  }
+  return plan;
+}
@@ -0,0 +1,43 @@
+// Army budgets. Every unit type has a point cost (its cost stat) and each side
+// may spend up to the same budget on its army, so compositions are compared
+// at equal value rather than equal size. A budget of 0 means no limit.
+
+import { TYPE_CONFIG } from "./unit-types.js";
+
+export const BUDGET_LIMITS = { min: 0, max: 5000 };
+
+export function armyCost(counts, types = TYPE_CONFIG) {
+  return Object.entries(counts).reduce((sum, [type, count]) => sum + (types[type]?.cost ?? 0) * count, 0);
+}
+
+// Whole points within BUDGET_LIMITS; anything unreadable means no limit
+export function clampBudget(value) {
+  const parsed = Math.round(Number(value));
+  if (!Number.isFinite(parsed)) {
+    return BUDGET_LIMITS.min;
+  }
+  return Math.min(BUDGET_LIMITS.max, Math.max(BUDGET_LIMITS.min, parsed));
+}
+
+export function withinBudget(counts, budget, types = TYPE_CONFIG) {
+  return !budget || armyCost(counts, types) <= budget;
+}
+
+// What each side spends and has left: { id, name, color, cost, remaining }
+// per side, remaining going negative once a side is over. remaining is null
+// without a budget.
+export function budgetReport(sides, budget, types = TYPE_CONFIG) {
+  return sides.map(({ id, name, color, counts }) => {
+    const cost = armyCost(counts, types);
+    return { id, name, color, cost, remaining: budget ? budget - cost : null };
+  });
+}
+
+// Throws with a message fit to show the user when any side spends more than
+// the budget allows.
+export function assertWithinBudget(sides, budget, types = TYPE_CONFIG) {
+  const over = budgetReport(sides, budget, types).find(({ remaining }) => remaining !== null && remaining < 0);
+  if (over) {
+    throw new Error(`${over.name} would cost ${over.cost} pts, ${-over.remaining} over the ${budget} pt budget per side.`);
+  }
+}
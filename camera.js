@@ -0,0 +1,193 @@
+// View onto the arena canvas. The camera looks at a world point at some zoom;
+// drawing code runs in world coordinates once apply() has set the transform,
+// and toWorld() maps mouse positions back. At rest it shows the whole arena
+// exactly as before. initCameraControls() lets the user drive it with the
+// mouse wheel, drags, the minimap and the keyboard.
+
+import { canvasPoint, minimapRect } from "./renderer.js";
+
+export const ZOOM_LIMITS = { min: 1, max: 8 };
+
+// Zoom factor per pixel of wheel travel, and per key press
+const WHEEL_ZOOM = 0.0015;
+const KEY_ZOOM = 1.25;
+
+// How far a press may wander, in canvas pixels, before it counts as a pan
+// rather than a click
+const DRAG_THRESHOLD = 4;
+
+export class Camera {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.reset();
+  }
+
+  reset() {
+    this.x = this.width / 2;
+    this.y = this.height / 2;
+    this.zoom = 1;
+  }
+
+  lookAt(x, y, zoom = this.zoom) {
+    this.x = x;
+    this.y = y;
+    this.zoom = Math.min(ZOOM_LIMITS.max, Math.max(ZOOM_LIMITS.min, zoom));
+    this.clamp();
+  }
+
+  // Keep the view over the arena canvas; there is nothing to see past it
+  clamp() {
+    const halfWidth = this.width / (2 * this.zoom);
+    const halfHeight = this.height / (2 * this.zoom);
+    this.x = Math.min(this.width - halfWidth, Math.max(halfWidth, this.x));
+    this.y = Math.min(this.height - halfHeight, Math.max(halfHeight, this.y));
+  }
+
+  // Scale the zoom by factor while the world point under the canvas point
+  // stays where it is, like zooming a map around the cursor
+  zoomAt(point, factor) {
+    const anchor = this.toWorld(point);
+    const zoom = Math.min(ZOOM_LIMITS.max, Math.max(ZOOM_LIMITS.min, this.zoom * factor));
+    this.lookAt(
+      anchor.x - (point.x - this.width / 2) / zoom,
+      anchor.y - (point.y - this.height / 2) / zoom,
+      zoom
+    );
+  }
+
+  // Move the view by a distance in canvas pixels
+  panBy(dx, dy) {
+    this.lookAt(this.x - dx / this.zoom, this.y - dy / this.zoom);
+  }
+
+  apply(ctx) {
+    const { zoom } = this;
+    ctx.setTransform(zoom, 0, 0, zoom, this.width / 2 - this.x * zoom, this.height / 2 - this.y * zoom);
+  }
+
+  // Canvas pixels to world coordinates
+  toWorld({ x, y }) {
+    return {
+      x: this.x + (x - this.width / 2) / this.zoom,
+      y: this.y + (y - this.height / 2) / this.zoom,
+    };
+  }
+}
+
+// Whether a key press on target is meant for a form field or editable text
+// rather than a shortcut. Shared with the battle shortcuts in main.js.
+export function isTyping(target) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable || Boolean(target.closest("input, select, textarea")))
+  );
+}
+
+// Wheel zooms around the cursor, a left drag pans (unless ownsLeftButton says
+// a setup tool is using it) and a middle drag always pans. While zoomed in,
+// pressing on the minimap jumps there. 0 or Home resets the view, + and -
+// zoom on the center. onChange(kind) runs after every move with "pan",
+// "zoom" or "reset".
+export function initCameraControls({ canvas, camera, ownsLeftButton, onChange }) {
+  // { x, y, moved } while a pan is in progress; "minimap" while dragging on it
+  let drag = null;
+  // Set when a drag ends, so the click the browser sends next is swallowed
+  // instead of selecting whatever is under the cursor
+  let dragged = false;
+
+  function onMinimap(point) {
+    if (camera.zoom <= 1) return false;
+    const rect = minimapRect(camera.width, camera.height);
+    return (
+      point.x >= rect.x &&
+      point.x <= rect.x + rect.width &&
+      point.y >= rect.y &&
+      point.y <= rect.y + rect.height
+    );
+  }
+
+  function jumpTo(point) {
+    const rect = minimapRect(camera.width, camera.height);
+    camera.lookAt((point.x - rect.x) / rect.scale, (point.y - rect.y) / rect.scale);
+    onChange("pan");
+  }
+
+  // Capture phase, so the minimap and middle button win over placement, map
+  // editing and the inspector
+  canvas.addEventListener(
+    "mousedown",
+    (event) => {
+      const point = canvasPoint(canvas, event);
+      if (event.button === 0 && onMinimap(point)) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        drag = "minimap";
+        jumpTo(point);
+      } else if (event.button === 1) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        drag = { ...point, moved: false };
+      } else if (event.button === 0 && !ownsLeftButton()) {
+        drag = { ...point, moved: false };
+      }
+    },
+    { capture: true }
+  );
+  window.addEventListener("mousemove", (event) => {
+    if (!drag) return;
+    const point = canvasPoint(canvas, event);
+    if (drag === "minimap") {
+      jumpTo(point);
+      return;
+    }
+    if (!drag.moved && Math.hypot(point.x - drag.x, point.y - drag.y) < DRAG_THRESHOLD) return;
+    drag.moved = true;
+    camera.panBy(point.x - drag.x, point.y - drag.y);
+    drag.x = point.x;
+    drag.y = point.y;
+    onChange("pan");
+  });
+  window.addEventListener("mouseup", () => {
+    dragged = Boolean(drag && (drag === "minimap" || drag.moved));
+    drag = null;
+  });
+  canvas.addEventListener(
+    "click",
+    (event) => {
+      if (dragged) {
+        event.stopImmediatePropagation();
+      }
+      dragged = false;
+    },
+    { capture: true }
+  );
+
+  canvas.addEventListener(
+    "wheel",
+    (event) => {
+      event.preventDefault();
+      camera.zoomAt(canvasPoint(canvas, event), Math.exp(-event.deltaY * WHEEL_ZOOM));
+      onChange("zoom");
+    },
+    { passive: false }
+  );
+
+  window.addEventListener("keydown", (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey || isTyping(event.target)) return;
+    const center = { x: camera.width / 2, y: camera.height / 2 };
+    if (event.key === "0" || event.key === "Home") {
+      camera.reset();
+      onChange("reset");
+    } else if (event.key === "+" || event.key === "=") {
+      camera.zoomAt(center, KEY_ZOOM);
+      onChange("zoom");
+    } else if (event.key === "-" || event.key === "_") {
+      camera.zoomAt(center, 1 / KEY_ZOOM);
+      onChange("zoom");
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+}
@@ -0,0 +1,282 @@
+// Shareable battle setups. A config captures everything in the setup form
+// (mode, counts or teams, multiplier, budget, seed, spawn layout, hand-placed
+// units and map), the damage matchups, the wave file of a survival setup and any
+// unit types that differ from the built-ins, as plain JSON for files and as a
+// compact URL parameter.
+
+import { BUDGET_LIMITS, clampBudget } from "./budget.js";
+import { LAYOUTS } from "./formations.js";
+import { MAP_PRESETS, normalizeMap } from "./maps.js";
+import { normalizeMatchups, pruneMatchups } from "./matchups.js";
+import { RATIO_LIMITS, clampRatioValue } from "./simulation.js";
+import { normalizeWaveFile } from "./survival.js";
+import { BUILTIN_TYPES, TYPE_CONFIG, isBuiltinType, normalizeUnitType } from "./unit-types.js";
+import { TEAM_LIMITS } from "./team-fields.js";
+
+export const CONFIG_FORMAT = "ratio-arena-config";
+export const CONFIG_VERSION = 1;
+export const MULTIPLIER_LIMITS = { min: 1, max: 20 };
+export const BATTLE_MODES = ["shapes", "teams", "survival"];
+
+const SEED_MAX_LENGTH = 64;
+const PLACED_LIMIT = 5000;
+
+// Types worth shipping with a config: custom ones and edited built-ins.
+export function unitOverrides(types = TYPE_CONFIG) {
+  const overrides = {};
+  for (const [id, config] of Object.entries(types)) {
+    const builtin = isBuiltinType(id) ? normalizeUnitType(id, BUILTIN_TYPES[id]) : null;
+    if (!builtin || JSON.stringify(builtin) !== JSON.stringify(config)) {
+      overrides[id] = config;
+    }
+  }
+  return overrides;
+}
+
+// placed holds painted units with team ids; the config refers to teams by
+// their position instead since ids are local to the page. map is a preset id
+// or a whole custom map definition. waves is the wave file a survival setup
+// plays, left out for other modes, and budget the points per side, left out
+// when there is no limit.
+export function buildConfig({
+  mode,
+  counts,
+  teams,
+  multiplier,
+  budget = 0,
+  seed,
+  layout = "scatter",
+  placed = [],
+  map = "open",
+  matchups = {},
+  waves = null,
+  types = TYPE_CONFIG,
+}) {
+  const teamIndex = new Map(teams.map((team, index) => [team.id, index]));
+  return {
+    format: CONFIG_FORMAT,
+    version: CONFIG_VERSION,
+    mode,
+    counts,
+    teams: teams.map(({ name, color, counts: teamCounts }) => ({ name, color, counts: teamCounts })),
+    multiplier,
+    ...(budget ? { budget } : {}),
+    seed,
+    layout,
+    placed: placed.map(({ type, team, x, y }) => ({
+      type,
+      team: teamIndex.get(team) ?? null,
+      x: Math.round(x),
+      y: Math.round(y),
+    })),
+    map,
+    matchups,
+    ...(waves ? { waves } : {}),
+    units: unitOverrides(types),
+  };
+}
+
+function fail(message) {
+  throw new Error(`Invalid configuration: ${message}`);
+}
+
+// Same rules as the form: counts are numbers clamped to RATIO_LIMITS, but
+// anything that isn't a number at all is rejected rather than zeroed.
+function parseCounts(raw, knownTypes, where) {
+  if (raw === undefined) {
+    return {};
+  }
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+    fail(`${where} must map unit type ids to counts.`);
+  }
+  const counts = {};
+  for (const [type, value] of Object.entries(raw)) {
+    if (!knownTypes[type]) {
+      fail(`${where} uses unknown unit type "${type}".`);
+    }
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      fail(`${where}: the ${knownTypes[type].name} count must be a number from ${RATIO_LIMITS.min} to ${RATIO_LIMITS.max}.`);
+    }
+    counts[type] = Math.round(clampRatioValue(number));
+  }
+  return counts;
+}
+
+function parsePlaced(raw, knownTypes, teamCount) {
+  if (raw === undefined) {
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    fail("placed units must be a list.");
+  }
+  if (raw.length > PLACED_LIMIT) {
+    fail(`at most ${PLACED_LIMIT} units can be placed by hand (got ${raw.length}).`);
+  }
+  return raw.map((unit, index) => {
+    if (!knownTypes[unit?.type]) {
+      fail(`placed unit ${index + 1} has unknown unit type "${unit?.type}".`);
+    }
+    if (!Number.isFinite(unit.x) || !Number.isFinite(unit.y)) {
+      fail(`placed unit ${index + 1} needs numeric x and y coordinates.`);
+    }
+    const team = unit.team ?? null;
+    if (team !== null && !(Number.isInteger(team) && team >= 0 && team < teamCount)) {
+      fail(`placed unit ${index + 1} refers to team ${team}, which does not exist.`);
+    }
+    return { type: unit.type, team, x: unit.x, y: unit.y };
+  });
+}
+
+function parseMap(raw) {
+  if (raw === undefined) {
+    return "open";
+  }
+  if (typeof raw === "string") {
+    if (!MAP_PRESETS[raw]) {
+      fail(`unknown map "${raw}".`);
+    }
+    return raw;
+  }
+  try {
+    return normalizeMap(raw);
+  } catch (error) {
+    fail(error.message);
+  }
+}
+
+// Pairs for types that no longer exist are dropped rather than refused, so a
+// link saved before a custom type was deleted still loads
+function parseMatchups(raw, knownTypes) {
+  try {
+    return pruneMatchups(normalizeMatchups(raw), knownTypes);
+  } catch (error) {
+    fail(error.message);
+  }
+}
+
+function parseWaves(raw, knownTypes) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  try {
+    return normalizeWaveFile(raw, knownTypes);
+  } catch (error) {
+    fail(error.message);
+  }
+}
+
+function parseTeams(raw, knownTypes) {
+  if (raw === undefined) {
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    fail("teams must be a list.");
+  }
+  if (raw.length > 0 && (raw.length < TEAM_LIMITS.min || raw.length > TEAM_LIMITS.max)) {
+    fail(`use between ${TEAM_LIMITS.min} and ${TEAM_LIMITS.max} teams (got ${raw.length}).`);
+  }
+  return raw.map((team, index) => {
+    const name = String(team?.name ?? "").trim();
+    if (!name) {
+      fail(`team ${index + 1} needs a name.`);
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(team.color ?? "")) {
+      fail(`${name} needs a color like #a1b2c3.`);
+    }
+    return { name, color: team.color.toLowerCase(), counts: parseCounts(team.counts, knownTypes, name) };
+  });
+}
+
+// Validate a config from a file or URL. Throws an Error whose message is fit
+// to show the user; returns a cleaned-up copy with the unit types resolved.
+export function parseConfig(data) {
+  if (!data || typeof data !== "object" || data.format !== CONFIG_FORMAT) {
+    fail("this is not a Ratio Arena configuration.");
+  }
+  if (data.version !== CONFIG_VERSION) {
+    fail(`version ${data.version} is not supported (expected ${CONFIG_VERSION}).`);
+  }
+  const mode = data.mode ?? "shapes";
+  if (!BATTLE_MODES.includes(mode)) {
+    fail(`unknown battle mode "${mode}".`);
+  }
+
+  const units = {};
+  for (const [id, definition] of Object.entries(data.units ?? {})) {
+    try {
+      units[id] = normalizeUnitType(id, definition ?? {});
+    } catch (error) {
+      fail(error.message);
+    }
+  }
+  // Counts may refer to the shipped types, the built-ins or this page's own
+  const knownTypes = { ...BUILTIN_TYPES, ...TYPE_CONFIG, ...units };
+
+  const multiplier = Number(data.multiplier ?? MULTIPLIER_LIMITS.min);
+  if (!Number.isFinite(multiplier)) {
+    fail(`the multiplier must be a number from ${MULTIPLIER_LIMITS.min} to ${MULTIPLIER_LIMITS.max}.`);
+  }
+
+  const budget = Number(data.budget ?? BUDGET_LIMITS.min);
+  if (!Number.isFinite(budget)) {
+    fail(`the budget must be a number from ${BUDGET_LIMITS.min} to ${BUDGET_LIMITS.max}.`);
+  }
+
+  const seed = String(data.seed ?? "").trim();
+  if (seed.length > SEED_MAX_LENGTH) {
+    fail(`the seed is longer than ${SEED_MAX_LENGTH} characters.`);
+  }
+
+  const teams = parseTeams(data.teams, knownTypes);
+  if (mode === "teams" && teams.length === 0) {
+    fail("team mode needs a list of teams.");
+  }
+
+  const layout = data.layout ?? "scatter";
+  if (!LAYOUTS.includes(layout)) {
+    fail(`unknown spawn layout "${layout}".`);
+  }
+
+  return {
+    mode,
+    counts: parseCounts(data.counts, knownTypes, "counts"),
+    teams,
+    multiplier: Math.round(Math.min(MULTIPLIER_LIMITS.max, Math.max(MULTIPLIER_LIMITS.min, multiplier))),
+    budget: clampBudget(budget),
+    seed,
+    layout,
+    placed: parsePlaced(data.placed, knownTypes, teams.length),
+    map: parseMap(data.map),
+    matchups: parseMatchups(data.matchups, knownTypes),
+    waves: parseWaves(data.waves, knownTypes),
+    units,
+  };
+}
+
+function toBase64Url(text) {
+  let binary = "";
+  for (const byte of new TextEncoder().encode(text)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+export function encodeConfigParam(config) {
+  return toBase64Url(JSON.stringify(config));
+}
+
+export function decodeConfigParam(param) {
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(param));
+  } catch {
+    fail("the link is damaged or incomplete.");
+  }
+  return parseConfig(data);
+}
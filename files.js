@@ -0,0 +1,20 @@
+// Small helpers for saving and opening JSON files in the browser.
+
+export function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Resolves to the parsed contents; rejects with a message fit to show the user.
+export async function readJsonFile(file) {
+  const text = await file.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${file.name} is not valid JSON.`);
+  }
+}
@@ -0,0 +1,102 @@
+// Where units start. Besides the original random scatter across the whole
+// disc, each side can get its own spawn sector or a preset formation facing
+// the center, and units can be placed by hand. Pure geometry, no DOM.
+
+export const LAYOUTS = ["scatter", "sectors", "line", "wedge", "ring", "cluster", "placed"];
+export const FORMATIONS = ["line", "wedge", "ring", "cluster"];
+
+// Which rank a unit takes in a formation: tanks up front, ranged and support
+// at the back.
+const RANK_BY_ARCHETYPE = { tank: 0, skirmisher: 1, healer: 2, ranged: 3 };
+
+export function frontRank(config) {
+  return RANK_BY_ARCHETYPE[config.archetype] ?? 1;
+}
+
+// Sides are spread evenly around the arena; with two sides they face off
+// left against right. facing points from the side towards the center.
+export function sideAnchor(arena, index, sideCount, distance = 0.55) {
+  const angle = Math.PI + (index / sideCount) * Math.PI * 2;
+  const facing = { x: -Math.cos(angle), y: -Math.sin(angle) };
+  return {
+    angle,
+    facing,
+    x: arena.center.x + Math.cos(angle) * arena.radius * distance,
+    y: arena.center.y + Math.sin(angle) * arena.radius * distance,
+  };
+}
+
+// Random point inside a side's wedge of the disc, kept away from the middle
+// so sides don't start mixed together.
+export function sectorPoint(arena, index, sideCount, rng) {
+  const half = (Math.PI / sideCount) * 0.8;
+  const angle = Math.PI + (index / sideCount) * Math.PI * 2 + (rng() * 2 - 1) * half;
+  const inner = arena.radius * 0.3;
+  const outer = arena.radius - 50;
+  const r = Math.sqrt(inner * inner + rng() * (outer * outer - inner * inner));
+  return {
+    x: arena.center.x + Math.cos(angle) * r,
+    y: arena.center.y + Math.sin(angle) * r,
+  };
+}
+
+// Slots in formation space: u runs forward (towards the enemy), v sideways.
+// Slots come front rank first so callers can hand them out in rank order.
+export function formationSlots(kind, count, spacing) {
+  const slots = [];
+  if (kind === "line") {
+    const width = Math.min(count, Math.max(6, Math.ceil(Math.sqrt(count) * 2)));
+    for (let i = 0; i < count; i += 1) {
+      const row = Math.floor(i / width);
+      const inRow = Math.min(width, count - row * width);
+      slots.push({ u: -row * spacing, v: (i % width - (inRow - 1) / 2) * spacing });
+    }
+  } else if (kind === "wedge") {
+    for (let row = 0; slots.length < count; row += 1) {
+      const inRow = Math.min(row + 1, count - slots.length);
+      for (let j = 0; j < inRow; j += 1) {
+        slots.push({ u: -row * spacing, v: (j - row / 2) * spacing });
+      }
+    }
+  } else if (kind === "ring") {
+    // Concentric rings grown outward until everyone fits, outermost first
+    const rings = [];
+    let capacity = 0;
+    for (let radius = spacing * 2; capacity < count; radius += spacing) {
+      const size = Math.floor((Math.PI * 2 * radius) / spacing);
+      rings.push({ radius, size });
+      capacity += size;
+    }
+    let remaining = count;
+    for (const { radius, size } of rings.reverse()) {
+      const used = Math.min(size, remaining);
+      for (let j = 0; j < used; j += 1) {
+        const angle = (j / used) * Math.PI * 2;
+        slots.push({ u: Math.cos(angle) * radius, v: Math.sin(angle) * radius });
+      }
+      remaining -= used;
+    }
+  } else {
+    // Cluster: the hex-packed points nearest the anchor, front-most first
+    const rowHeight = spacing * Math.sqrt(3) / 2;
+    const reach = Math.ceil(Math.sqrt(count)) + 1;
+    const points = [];
+    for (let row = -reach; row <= reach; row += 1) {
+      for (let col = -reach; col <= reach; col += 1) {
+        points.push({ u: row * rowHeight, v: (col + (row & 1) / 2) * spacing });
+      }
+    }
+    points.sort((a, b) => Math.hypot(a.u, a.v) - Math.hypot(b.u, b.v));
+    slots.push(...points.slice(0, count).sort((a, b) => b.u - a.u));
+  }
+  return slots;
+}
+
+// Formation space to arena coordinates for a side anchored at anchor
+export function slotToWorld(anchor, slot) {
+  const { facing } = anchor;
+  return {
+    x: anchor.x + facing.x * slot.u - facing.y * slot.v,
+    y: anchor.y + facing.y * slot.u + facing.x * slot.v,
+  };
+}
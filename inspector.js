@@ -0,0 +1,150 @@
+// Unit inspector. Clicking a unit during a battle selects it: the panel shows
+// its live state, the arena draws its ranges and current target, and the
+// camera can follow it until it falls.
+
+import { ABILITY_RULES, STATUS_EFFECTS } from "./abilities.js";
+import { worldPoint } from "./renderer.js";
+
+// Extra slack around a unit's body that still counts as clicking it
+const PICK_SLACK = 8;
+
+function describeUnit(sim, warrior) {
+  if (!warrior) return "—";
+  const team = sim.teamMode ? ` (${sim.teamById(warrior.team)?.name ?? warrior.team})` : "";
+  return `${warrior.config.name}${team}`;
+}
+
+function formatSeconds(value) {
+  return value > 0 ? `${value.toFixed(2)}s` : "—";
+}
+
+// Each ability with how long until an active one is ready again
+function describeAbilities(warrior) {
+  const { abilities } = warrior.config;
+  if (abilities.length === 0) return "—";
+  return abilities
+    .map((ability) => {
+      const wait = warrior.abilityCooldowns[ability] ?? 0;
+      return `${ABILITY_RULES[ability].name}${wait > 0 ? ` ${formatSeconds(wait)}` : ""}`;
+    })
+    .join(", ");
+}
+
+function describeEffects(warrior) {
+  if (warrior.effects.size === 0) return "—";
+  return [...warrior.effects]
+    .map(([name, effect]) => `${STATUS_EFFECTS[name].label} ${formatSeconds(effect.remaining)}`)
+    .join(", ");
+}
+
+// One row per line of the panel
+const FIELDS = [
+  ["Health", (warrior) => `${Math.max(0, Math.ceil(warrior.hp))} / ${warrior.config.hp}`],
+  ["Cooldown", (warrior) => formatSeconds(warrior.cooldown)],
+  [
+    "Target",
+    (warrior, sim) => {
+      const focus = warrior.patient ?? warrior.target;
+      if (!warrior.alive || !focus?.alive) return "—";
+      const verb = warrior.patient ? "Healing" : "Attacking";
+      return `${verb} ${describeUnit(sim, focus)} at ${Math.round(warrior.distanceTo(focus))}px`;
+    },
+  ],
+  ["Abilities", describeAbilities],
+  ["Effects", describeEffects],
+  ["Retreating", (warrior) => formatSeconds(warrior.wantRetreat)],
+  ["Evading", (warrior) => formatSeconds(warrior.evadeTimer)],
+  ["Kills", (warrior) => String(warrior.kills)],
+];
+
+let inspector = null;
+
+// The selected unit, or null. It stays selected after dying so the panel can
+// show how it ended.
+export function getInspected() {
+  return inspector?.selected ?? null;
+}
+
+// Whether the camera should track the selected unit right now
+export function isFollowing() {
+  return Boolean(inspector?.selected?.alive && inspector.followToggle.checked);
+}
+
+// Let go of the camera but keep the unit selected, e.g. once the user pans away
+export function stopFollowing() {
+  if (inspector) {
+    inspector.followToggle.checked = false;
+  }
+}
+
+export function clearInspection() {
+  inspector?.select(null);
+}
+
+// Refresh the panel from the selected unit's current state
+export function updateInspector() {
+  inspector?.refresh();
+}
+
+// getSim returns the battle on the arena (or null). onChange runs when the
+// selection or follow mode changes so the arena can be redrawn.
+export function initInspector({ canvas, getSim, onChange }) {
+  const panel = document.getElementById("inspector");
+  const title = document.getElementById("inspect-name");
+  const list = document.getElementById("inspect-stats");
+  const state = document.getElementById("inspect-state");
+  const followToggle = document.getElementById("inspect-follow");
+  const closeBtn = document.getElementById("inspect-close-btn");
+
+  const values = FIELDS.map(([label]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const value = document.createElement("dd");
+    list.append(term, value);
+    return value;
+  });
+
+  function pick(event) {
+    const sim = getSim();
+    if (!sim) return;
+    const { x, y } = worldPoint(canvas, event);
+    let best = null;
+    let bestDistance = Infinity;
+    for (const warrior of sim.warriors) {
+      if (!warrior.alive) continue;
+      const distance = Math.hypot(warrior.x - x, warrior.y - y);
+      if (distance <= warrior.config.size + PICK_SLACK && distance < bestDistance) {
+        best = warrior;
+        bestDistance = distance;
+      }
+    }
+    inspector.select(best);
+  }
+
+  inspector = {
+    selected: null,
+    followToggle,
+    select(warrior) {
+      this.selected = warrior;
+      panel.hidden = !warrior;
+      this.refresh();
+      onChange();
+    },
+    refresh() {
+      const warrior = this.selected;
+      const sim = getSim();
+      if (!warrior || !sim) return;
+      title.textContent = describeUnit(sim, warrior);
+      title.style.color = warrior.teamColor ?? warrior.config.color;
+      FIELDS.forEach(([, read], i) => {
+        values[i].textContent = read(warrior, sim);
+      });
+      state.textContent = warrior.alive ? "" : "Fell in battle.";
+    },
+  };
+
+  canvas.addEventListener("click", pick);
+  followToggle.addEventListener("change", onChange);
+  closeBtn.addEventListener("click", () => inspector.select(null));
+  panel.hidden = true;
+}
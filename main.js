@@ -1,485 +1,398 @@
+import {
+  FIXED_DT,
+  RATIO_LIMITS,
+  Simulation,
+  clampRatioValue,
+  createArena,
+  resolveTeams,
+} from "./simulation.js";
+import {
+  clearArena,
+  clearHitEffects,
+  drawBattle,
+  drawInspection,
+  drawMinimap,
+  setView,
+  spawnHitEffect,
+  updateHitEffects,
+} from "./renderer.js";
+import { Camera, initCameraControls, isTyping } from "./camera.js";
+import { playDeathSound, playHitSound } from "./audio.js";
+import { randomSeed, reseedCosmetic } from "./rng.js";
+import { buildConfig, decodeConfigParam, encodeConfigParam, parseConfig } from "./config.js";
+import { downloadJson, readJsonFile } from "./files.js";
+import { BattleStats } from "./analytics.js";
+import { clearAnalytics, initAnalyticsPanel, showAnalytics } from "./analytics-panel.js";
+import { initBatchPanel } from "./batch-panel.js";
+import { assertWithinBudget, budgetReport, clampBudget, withinBudget } from "./budget.js";
+import {
+  clearInspection,
+  getInspected,
+  initInspector,
+  isFollowing,
+  stopFollowing,
+  updateInspector,
+} from "./inspector.js";
+import {
+  drawMapDraft,
+  getMap,
+  getMapChoice,
+  initMapEditor,
+  isEditingMap,
+  setMapChoice,
+  updateMapBar,
+} from "./map-editor.js";
+import { getMatchups, initMatchupEditor, setMatchups } from "./matchup-editor.js";
+import { ReplayRecorder } from "./replay.js";
+import { getScriptedTypes, initScriptPanel, startScripts } from "./script-panel.js";
+import { closeReplay, initReplayPanel, redrawReplay } from "./replay-panel.js";
+import { initSweepPanel } from "./sweep-panel.js";
+import { COUNTER_TEAM, ENEMY_TEAM } from "./optimizer.js";
+import { initOptimizerPanel } from "./optimizer-panel.js";
+import { initTunerPanel } from "./tuner-panel.js";
+import { DEFENDERS_TEAM, SurvivalSimulation, WAVES_TEAM, waveRoster } from "./survival.js";
+import {
+  clearSurvivalProgress,
+  getWaveFile,
+  initSurvivalFields,
+  recordSurvivalScore,
+  setWaveFile,
+  showSurvivalProgress,
+} from "./survival-fields.js";
+import {
+  drawPlacement,
+  getPaintedUnits,
+  getPlacedUnits,
+  initPlacement,
+  setPlacedUnits,
+  updatePlacementBar,
+} from "./placement.js";
+import { collectTeams, initTeamFields, setTeams } from "./team-fields.js";
+import { initUnitEditor } from "./unit-editor.js";
+import {
+  BUILTIN_TYPES,
+  TYPE_CONFIG,
+  isBuiltinType,
+  onUnitTypesChange,
+  replaceUnitTypes,
+} from "./unit-types.js";
+
 const canvas = document.getElementById("arena");
 const ctx = canvas.getContext("2d");
 const statusPill = document.getElementById("status-pill");
 const form = document.getElementById("config-form");
 const multiplierInput = document.getElementById("multiplier");
 const multiplierValue = document.getElementById("multiplier-value");
-const ratioInputs = form.querySelectorAll('input[type="number"][name]');
+const budgetInput = document.getElementById("budget");
+const budgetReadout = document.getElementById("budget-readout");
+const ratioFields = document.getElementById("ratio-fields");
+const battleModeSelect = document.getElementById("battle-mode");
+const layoutSelect = document.getElementById("layout");
+const teamFields = document.getElementById("team-fields");
+const survivalFields = document.getElementById("survival-fields");
+const counterList = document.getElementById("counter-list");
+const seedInput = document.getElementById("seed-input");
 const startBtn = document.getElementById("start-btn");
 const pauseBtn = document.getElementById("pause-btn");
+const stepBtn = document.getElementById("step-btn");
+const speedSelect = document.getElementById("speed");
 const resetBtn = document.getElementById("reset-btn");
-
-// Counter nodes - will be initialized after DOM is ready
-let counterNodes = {
-  circle: null,
-  square: null,
-  triangle: null,
-};
-
-// Initialize counter nodes once DOM is ready
-function initCounterNodes() {
-  const circleEl = document.querySelector('.counter-value[data-type="circle"]');
-  const squareEl = document.querySelector('.counter-value[data-type="square"]');
-  const triangleEl = document.querySelector('.counter-value[data-type="triangle"]');
-  
-  if (!circleEl || !squareEl || !triangleEl) {
-    console.warn('Counter nodes not found, retrying...');
-    // Retry after a short delay if elements aren't ready
-    setTimeout(initCounterNodes, 10);
-    return;
-  }
-  
-  counterNodes = {
-    circle: circleEl,
-    square: squareEl,
-    triangle: triangleEl,
-  };
+const copyLinkBtn = document.getElementById("copy-link-btn");
+const exportConfigBtn = document.getElementById("export-config-btn");
+const importConfigInput = document.getElementById("import-config-file");
+const configStatus = document.getElementById("config-status");
+
+// Read before anything below rewrites the address bar
+const initialParams = new URLSearchParams(window.location.search);
+
+// Starting counts for the built-in types; anything added later starts at 0
+const DEFAULT_COUNTS = { circle: 3, square: 2, triangle: 1 };
+
+let ratioInputs = [];
+// The multiplier before the slider last moved, so a move onto an overspend
+// can go back
+let lastMultiplier = Number(multiplierInput.value);
+// { node, team, type } per live readout; type is null for a team total
+let counterNodes = [];
+
+// Build one count input per registered unit type, keeping whatever the user
+// had already typed for types that still exist.
+function renderRatioFields() {
+  const previous = Object.fromEntries(ratioInputs.map((input) => [input.name, input.value]));
+  ratioInputs = [];
+  const labels = Object.entries(TYPE_CONFIG).map(([type, config]) => {
+    const label = document.createElement("label");
+    label.append(config.title);
+    const input = document.createElement("input");
+    input.type = "number";
+    input.name = type;
+    input.min = RATIO_LIMITS.min;
+    input.max = RATIO_LIMITS.max;
+    input.value = previous[type] ?? DEFAULT_COUNTS[type] ?? 0;
+    input.addEventListener("focus", () => {
+      input.dataset.previous = input.value;
+    });
+    input.addEventListener("input", handleRatioInput);
+    label.append(input);
+    ratioInputs.push(input);
+    return label;
+  });
+  ratioFields.replaceChildren(...labels);
 }
 
-const CENTER = { x: canvas.width / 2, y: canvas.height / 2 };
-const ARENA_RADIUS = Math.min(canvas.width, canvas.height) / 2 - 40;
-
-const TYPE_CONFIG = {
-  circle: {
-    color: "#6dd3ff",
-    speed: 140,
-    hp: 55,
-    damage: 9,
-    range: 18,
-    cooldown: 0.55,
-    size: 10,
-    label: "Circles dominate with speed.",
-  },
-  square: {
-    color: "#ffc857",
-    speed: 91,
-    hp: 130,
-    damage: 18,
-    range: 22,
-    cooldown: 1.2,
-    size: 16,
-    label: "Squares soak damage and hit hard.",
-  },
-  triangle: {
-    color: "#ff6f91",
-    speed: 90,
-    hp: 85,
-    damage: 7,
-    range: 60,
-    cooldown: 0.8,
-    size: 14,
-    preferred: { min: 40, max: 55 },
-    label: "Triangles strike from afar.",
-  },
-};
-
-const RATIO_LIMITS = { min: 0, max: 50 };
-
-let warriors = [];
-let projectiles = [];
-let hitEffects = [];
-let running = false;
-let animationFrameId = null;
-let lastTimestamp = 0;
-let winnerType = null; // Store the winner type for victory message
-
-// Audio context for sound effects
-let audioContext = null;
-function getAudioContext() {
-  if (!audioContext) {
-    audioContext = new (window.AudioContext || window.webkitAudioContext)();
-  }
-  return audioContext;
-}
-
-class Warrior {
-  constructor(type, x, y) {
-    this.type = type;
-    this.x = x;
-    this.y = y;
-    this.config = TYPE_CONFIG[type];
-    this.hp = this.config.hp;
-    this.cooldown = 0;
-    this.alive = true;
-    this.heading = Math.random() * Math.PI * 2;
-    this.evadeDirection = 0; // For triangles to dodge
-    this.evadeTimer = 0; // Timer for evasive maneuvers
-    this.lastHitDirX = 0; // For circles: direction of last melee attack
-    this.lastHitDirY = 0;
-    this.wantRetreat = 0; // Frames of retreat/sidestep behavior after a hit
-  }
-
-  distanceTo(other) {
-    const dx = other.x - this.x;
-    const dy = other.y - this.y;
-    return Math.hypot(dx, dy);
-  }
-
-  findTarget(candidates) {
-    let closest = null;
-    let distance = Number.POSITIVE_INFINITY;
-    for (const enemy of candidates) {
-      if (enemy === this || !enemy.alive || enemy.type === this.type) {
-        continue;
-      }
-      const d = this.distanceTo(enemy);
-      if (d < distance) {
-        distance = d;
-        closest = enemy;
-      }
-    }
-    return closest;
-  }
-
-  takeDamage(amount) {
-    this.hp -= amount;
-    if (this.hp <= 0) {
-      this.alive = false;
-      playDeathSound(this.type);
-    }
-  }
+function counterItem(label, color, shape) {
+  const item = document.createElement("div");
+  item.className = "counter-item";
+  item.style.setProperty("--unit-color", color);
+  const icon = document.createElement("div");
+  icon.className = "counter-icon";
+  icon.dataset.shape = shape;
+  const info = document.createElement("div");
+  info.className = "counter-info";
+  const name = document.createElement("span");
+  name.className = "counter-label";
+  name.textContent = label;
+  const value = document.createElement("span");
+  value.className = "counter-value";
+  value.textContent = "0";
+  info.append(name, value);
+  item.append(icon, info);
+  return { item, info, value };
+}
 
-  clampInsideArena() {
-    const dx = this.x - CENTER.x;
-    const dy = this.y - CENTER.y;
-    const dist = Math.hypot(dx, dy);
-    const maxDist = ARENA_RADIUS - this.config.size;
-    if (dist > maxDist) {
-      const scale = maxDist / dist;
-      this.x = CENTER.x + dx * scale;
-      this.y = CENTER.y + dy * scale;
-    }
+// The sides the form describes, before a battle builds its own. Survival
+// pits the composition against every type the wave file sends in.
+function setupTeams() {
+  if (isSurvivalMode()) {
+    return [
+      { ...DEFENDERS_TEAM, counts: collectCounts() },
+      { ...WAVES_TEAM, counts: waveRoster(getWaveFile()) },
+    ];
   }
+  return resolveTeams(collectForces(), TYPE_CONFIG);
+}
 
-  attemptAttack(target) {
-    if (!target || !target.alive || this.cooldown > 0) {
-      return;
+// One readout per type in a free-for-all. Team battles and survival runs get
+// one card per team with its total, broken down by the types that team fields.
+function renderCounters() {
+  const teams = sim ? sim.teams : setupTeams();
+  const teamMode = sim ? sim.teamMode : isTeamMode() || isSurvivalMode();
+  counterNodes = [];
+  const items = teams.map((team) => {
+    if (!teamMode) {
+      const config = TYPE_CONFIG[team.id];
+      const { item, value } = counterItem(team.name, team.color, config?.shape ?? "circle");
+      counterNodes.push({ node: value, team: team.id, type: null });
+      return item;
     }
-    const distance = this.distanceTo(target);
-    if (this.type === "triangle") {
-      if (distance <= this.config.range) {
-        fireProjectile(this, target);
-        this.cooldown = this.config.cooldown;
-      }
-      return;
+    const { item, info, value } = counterItem(team.name, team.color, "circle");
+    item.classList.add("team");
+    counterNodes.push({ node: value, team: team.id, type: null });
+    const breakdown = document.createElement("div");
+    breakdown.className = "counter-breakdown";
+    for (const [type, config] of Object.entries(TYPE_CONFIG)) {
+      if (!team.counts[type]) continue;
+      const entry = document.createElement("span");
+      entry.style.setProperty("--unit-color", config.color);
+      const icon = document.createElement("span");
+      icon.className = "counter-icon";
+      icon.dataset.shape = config.shape;
+      const count = document.createElement("span");
+      count.textContent = "0";
+      count.title = config.name;
+      entry.append(icon, count);
+      breakdown.append(entry);
+      counterNodes.push({ node: count, team: team.id, type });
     }
+    info.append(breakdown);
+    return item;
+  });
+  counterList.replaceChildren(...items);
+}
 
-    // For melee units, check if we're close enough to connect a hit.
-    // Use the larger of attack range and combined sizes so they can hit when touching.
-    const minDistance = this.config.size + target.config.size;
-    const meleeReach = Math.max(this.config.range, minDistance);
-    if (distance <= meleeReach) {
-      target.takeDamage(this.config.damage);
-      this.cooldown = this.config.cooldown;
-      spawnHitEffect(target.x, target.y);
-      playHitSound();
+function isTeamMode() {
+  return battleModeSelect.value === "teams";
+}
 
-      // Circles: remember attack direction and trigger brief retreat/sidestep
-      if (this.type === "circle") {
-        const attackDx = target.x - this.x;
-        const attackDy = target.y - this.y;
-        const attackDist = Math.hypot(attackDx, attackDy) || 1;
-        this.lastHitDirX = attackDx / attackDist;
-        this.lastHitDirY = attackDy / attackDist;
-        // Retreat longer against squares so they clearly stick-and-move on tanks
-        this.wantRetreat = target.type === "square" ? 0.8 : 0.4;
-      }
-    }
-  }
+function isSurvivalMode() {
+  return battleModeSelect.value === "survival";
+}
 
-  update(dt, everyone) {
-    if (!this.alive) {
-      return;
-    }
+function currentBudget() {
+  return clampBudget(budgetInput.value);
+}
 
-    this.cooldown = Math.max(0, this.cooldown - dt);
-    // Decay any post-hit retreat/sidestep behavior
-    if (this.wantRetreat > 0) {
-      this.wantRetreat = Math.max(0, this.wantRetreat - dt);
-    }
-    const target = this.findTarget(everyone);
-    if (!target) {
-      return;
-    }
+function scaleCounts(counts, multiplier) {
+  return Object.fromEntries(Object.entries(counts).map(([type, count]) => [type, Math.round(count * multiplier)]));
+}
 
-    const dx = target.x - this.x;
-    const dy = target.y - this.y;
-    const dist = Math.hypot(dx, dy) || 1;
-    
-    // Movement rules:
-    // - Triangles: kite — back away if too close, chase a bit if too far, hold when in a good band.
-    // - Melee (circles/squares): move until they are almost colliding (based on sizes).
-    const attackRange = this.type === "triangle" ? this.config.range : 0;
-    const minDistance = this.config.size + target.config.size;
-    let shouldMove;
-    if (this.type === "triangle") {
-      const pref = this.config.preferred;
-      const threatRadius = pref.min * 1.4;
-      // Strong kiting rules for triangles:
-      // - If any melee threat is inside threatRadius, we should be moving away.
-      // - If target is beyond attack range, move in.
-      // - Otherwise, hold and only dodge.
-      shouldMove = dist < threatRadius || dist > attackRange;
-    } else {
-      shouldMove = dist > minDistance;
-      // Circles: if we're in a post-hit retreat window, always move (even if already in melee range)
-      if (this.type === "circle" && this.wantRetreat > 0) {
-        shouldMove = true;
-      }
-    }
-    
-    let dirX = dx / dist;
-    let dirY = dy / dist;
-    let desiredHeading = Math.atan2(dirY, dirX);
-
-    if (this.type === "triangle") {
-      // Check for nearby threats (enemies and projectiles) for evasive maneuvers
-      let evadeX = 0;
-      let evadeY = 0;
-      const evadeRadius = 50; // Distance to start evading
-      
-      // Check for nearby enemies
-      for (const enemy of everyone) {
-        if (!enemy.alive || enemy.type === this.type || enemy === this) continue;
-        const enemyDx = enemy.x - this.x;
-        const enemyDy = enemy.y - this.y;
-        const enemyDist = Math.hypot(enemyDx, enemyDy);
-        if (enemyDist < evadeRadius && enemyDist > 0) {
-          // Evade away from enemy
-          const evadeStrength = (evadeRadius - enemyDist) / evadeRadius;
-          evadeX -= (enemyDx / enemyDist) * evadeStrength;
-          evadeY -= (enemyDy / enemyDist) * evadeStrength;
-        }
-      }
-      
-      // Check for nearby projectiles
-      for (const projectile of projectiles) {
-        if (!projectile.alive || projectile.ownerType === this.type) continue;
-        const projDx = projectile.x - this.x;
-        const projDy = projectile.y - this.y;
-        const projDist = Math.hypot(projDx, projDy);
-        if (projDist < evadeRadius && projDist > 0) {
-          // Evade away from projectile
-          const evadeStrength = (evadeRadius - projDist) / evadeRadius;
-          evadeX -= (projDx / projDist) * evadeStrength * 1.5; // More urgent evasion from projectiles
-          evadeY -= (projDy / projDist) * evadeStrength * 1.5;
-        }
-      }
-      
-      // Base movement: if too close, always back directly away from the target.
-      const pref = this.config.preferred;
-      if (dist < pref.min) {
-        dirX = -dx / dist;
-        dirY = -dy / dist;
-      } else if (dist <= pref.max && shouldMove) {
-        // Strafe by rotating vector 90 degrees when in band but still adjusting
-        const temp = dirX;
-        dirX = -dirY;
-        dirY = temp;
-      }
-      
-      // Apply evasive maneuvers on top of base movement
-      if (Math.abs(evadeX) > 0.1 || Math.abs(evadeY) > 0.1) {
-        const evadeMag = Math.hypot(evadeX, evadeY);
-        evadeX /= evadeMag;
-        evadeY /= evadeMag;
-        // Blend evasion with movement (70% evasion, 30% normal movement)
-        dirX = dirX * 0.3 + evadeX * 0.7;
-        dirY = dirY * 0.3 + evadeY * 0.7;
-        const blendMag = Math.hypot(dirX, dirY);
-        if (blendMag > 0) {
-          dirX /= blendMag;
-          dirY /= blendMag;
+// The armies the budget applies to as the form stands at a multiplier: every
+// side but the scripted waves, or whatever has been painted on a hand-placed
+// layout, where the multiplier plays no part
+function budgetSides(multiplier = parseFloat(multiplierInput.value)) {
+  if (layoutSelect.value === "placed") {
+    const sides = setupTeams().filter((team) => team.id !== WAVES_TEAM.id);
+    const placed = getPlacedUnits(isTeamMode(), collectTeams());
+    return sides.map((side) => {
+      const counts = {};
+      for (const { type, team } of placed) {
+        if (isSurvivalMode() || team === side.id) {
+          counts[type] = (counts[type] ?? 0) + 1;
         }
       }
-      
-      desiredHeading = Math.atan2(dirY, dirX);
-    }
-
-    // Circles: stick-and-move behavior (flank and back-step after hits)
-    if (this.type === "circle" && this.wantRetreat > 0) {
-      // Retreat slightly opposite of last hit direction, plus a small lateral offset
-      let backX = -this.lastHitDirX;
-      let backY = -this.lastHitDirY;
-      // Perpendicular vector for lateral movement
-      let sideX = -this.lastHitDirY;
-      let sideY = this.lastHitDirX;
-      // Mix back-step and sidestep (60% back, 40% side)
-      dirX = backX * 0.6 + sideX * 0.4;
-      dirY = backY * 0.6 + sideY * 0.4;
-      const mag = Math.hypot(dirX, dirY) || 1;
-      dirX /= mag;
-      dirY /= mag;
-      desiredHeading = Math.atan2(dirY, dirX);
-    }
+      return { ...side, counts };
+    });
+  }
+  if (isSurvivalMode()) {
+    return [{ ...DEFENDERS_TEAM, counts: collectCounts(multiplier) }];
+  }
+  return isTeamMode() ? collectTeams(multiplier) : resolveTeams({ counts: collectCounts(multiplier) }, TYPE_CONFIG);
+}
 
-    // Smooth heading changes for triangles to prevent glitchy turning
-    if (this.type === "triangle") {
-      let angleDiff = desiredHeading - this.heading;
-      // Normalize angle difference to [-PI, PI]
-      while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-      while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
-      
-      const turnSpeed = 3.0; // radians per second
-      const maxTurn = turnSpeed * dt;
-      if (Math.abs(angleDiff) > maxTurn) {
-        this.heading += Math.sign(angleDiff) * maxTurn;
+// Points spent and left per side, flagging any side over the budget
+function renderBudget() {
+  const budget = currentBudget();
+  budgetReadout.replaceChildren(
+    ...budgetReport(budgetSides(), budget).map(({ name, color, cost, remaining }) => {
+      const item = document.createElement("span");
+      item.style.setProperty("--unit-color", color);
+      if (remaining === null) {
+        item.textContent = `${name}: ${cost} pts`;
+      } else if (remaining < 0) {
+        item.textContent = `${name}: ${cost}/${budget} pts · ${-remaining} over`;
+        item.classList.add("over");
       } else {
-        this.heading = desiredHeading;
+        item.textContent = `${name}: ${cost}/${budget} pts · ${remaining} left`;
       }
-    } else {
-      this.heading = desiredHeading;
-    }
-
-    // Only move if we're not in attack range
-    if (shouldMove) {
-      const speed = this.config.speed * dt;
-      this.x += dirX * speed;
-      this.y += dirY * speed;
-      this.clampInsideArena();
-    }
-    
-    this.attemptAttack(target);
-  }
-}
-
-class Projectile {
-  constructor(owner, target) {
-    this.ownerType = owner.type;
-    this.damage = owner.config.damage;
-    this.x = owner.x;
-    this.y = owner.y;
-    const dx = target.x - owner.x;
-    const dy = target.y - owner.y;
-    const dist = Math.hypot(dx, dy) || 1;
-    const speed = 260;
-    this.vx = (dx / dist) * speed;
-    this.vy = (dy / dist) * speed;
-    this.life = 0;
-    this.maxLife = 3.5;
-    this.alive = true;
-    this.radius = 4;
-  }
-
-  update(dt) {
-    this.life += dt;
-    if (this.life >= this.maxLife) {
-      this.alive = false;
-      return;
-    }
+      return item;
+    })
+  );
+}
 
-    this.x += this.vx * dt;
-    this.y += this.vy * dt;
+// Reject a count that would take its side over the budget: keep the largest
+// one up to what was typed that still fits, but never less than the side had
+// before, so cutting down a side that is already over always works.
+// sideCounts(n) is the side's army before the multiplier with n of the type.
+// Hand-placed armies are costed from the canvas, not the counts.
+function limitToBudget(type, count, previous, sideCounts, side) {
+  const budget = currentBudget();
+  const multiplier = Number(multiplierInput.value);
+  const fits = (n) => withinBudget(scaleCounts(sideCounts(n), multiplier), budget);
+  if (layoutSelect.value === "placed" || count <= previous || fits(count)) {
+    return count;
+  }
+  let allowed = count;
+  while (allowed > previous && !fits(allowed)) {
+    allowed -= 1;
+  }
+  const scale = multiplier === 1 ? "" : ` at ${multiplier}×`;
+  configStatus.textContent =
+    `Over budget: ${TYPE_CONFIG[type].name} × ${count} would take ${side} past the ` +
+    `${budget} pt budget per side${scale}.`;
+  return allowed;
+}
 
-    const dx = this.x - CENTER.x;
-    const dy = this.y - CENTER.y;
-    if (Math.hypot(dx, dy) >= ARENA_RADIUS) {
-      this.alive = false;
-    }
+// Team counts go through the same budget check as the shape counts
+function limitTeamCount(team, type, count) {
+  return limitToBudget(type, count, team.counts[type] ?? 0, (n) => ({ ...team.counts, [type]: n }), team.name);
+}
 
-    for (const enemy of warriors) {
-      if (!enemy.alive || enemy.type === this.ownerType) {
-        continue;
-      }
-      const dist = Math.hypot(enemy.x - this.x, enemy.y - this.y);
-      if (dist <= enemy.config.size + this.radius) {
-        enemy.takeDamage(this.damage);
-        // Spawn subtle hit effect at impact point
-        spawnHitEffect(this.x, this.y);
-        playHitSound();
-        this.alive = false;
-        break;
-      }
-    }
-  }
+function applyBattleMode() {
+  ratioFields.hidden = isTeamMode();
+  teamFields.hidden = !isTeamMode();
+  survivalFields.hidden = !isSurvivalMode();
+  refreshSetup();
 }
 
-function fireProjectile(shooter, target) {
-  projectiles.push(new Projectile(shooter, target));
+function isSetupShowing() {
+  return !sim && !replaying;
 }
 
-function randomPoint() {
-  const theta = Math.random() * Math.PI * 2;
-  const radius = Math.random() ** 0.5 * (ARENA_RADIUS - 50);
-  return {
-    x: CENTER.x + Math.cos(theta) * radius,
-    y: CENTER.y + Math.sin(theta) * radius,
-  };
+function isPlacing() {
+  return layoutSelect.value === "placed" && isSetupShowing() && !isEditingMap();
 }
 
-function isPositionValid(x, y, existingWarriors, minDistance) {
-  for (const warrior of existingWarriors) {
-    const dx = warrior.x - x;
-    const dy = warrior.y - y;
-    if (Math.hypot(dx, dy) < minDistance) {
-      return false;
-    }
+// The arena between battles: the chosen map, plus the hand-placed armies
+function drawSetup() {
+  clearArena(ctx, arena);
+  if (layoutSelect.value === "placed") {
+    drawPlacement(ctx, isTeamMode(), collectTeams());
   }
-  return true;
+  drawMapDraft(ctx, arena);
+  drawMinimap(ctx, arena);
 }
 
-function clampRatioValue(rawValue) {
-  const parsed = Number(rawValue);
-  if (Number.isNaN(parsed)) {
-    return RATIO_LIMITS.min;
+function updateToolbars() {
+  updatePlacementBar();
+  updateMapBar();
+}
+
+// Bring counters, the setup preview and the toolbars in line with the form.
+// Leaves the canvas alone while a battle or replay is showing.
+function refreshSetup() {
+  arena = createArena(canvas.width, canvas.height, getMap());
+  if (isSetupShowing()) {
+    renderCounters();
+    updateStats();
+    drawSetup();
   }
-  return Math.min(RATIO_LIMITS.max, Math.max(RATIO_LIMITS.min, parsed));
+  renderBudget();
+  updateToolbars();
 }
 
-function seedWarriors(counts) {
-  warriors = [];
-  projectiles = [];
-  const minSpacing = 30; // Minimum distance between warriors when spawning (increased from 25)
-  for (const type of Object.keys(TYPE_CONFIG)) {
-    const amount = counts[type] ?? 0;
-    for (let i = 0; i < amount; i += 1) {
-      let attempts = 0;
-      let point;
-      let foundValid = false;
-      
-      // Try to find a valid position
-      do {
-        point = randomPoint();
-        attempts++;
-        if (isPositionValid(point.x, point.y, warriors, minSpacing)) {
-          foundValid = true;
-        }
-      } while (!foundValid && attempts < 250);
-      
-      // If we couldn't find a valid position after max attempts, add fallback jitter
-      if (!foundValid) {
-        // Apply a small offset based on index to ensure warriors don't spawn at exactly the same spot
-        const angle = (i * 137.5) % 360; // Golden angle for better distribution
-        const offset = (i % 5 + 1) * 3; // 3-15 pixels offset
-        point.x += Math.cos(angle * Math.PI / 180) * offset;
-        point.y += Math.sin(angle * Math.PI / 180) * offset;
-      }
-      
-      // Add tiny random jitter (1-3 pixels) to all positions to prevent exact overlaps
-      const jitterX = (Math.random() - 0.5) * 4;
-      const jitterY = (Math.random() - 0.5) * 4;
-      point.x += jitterX;
-      point.y += jitterY;
-      
-      // Ensure the point is still within arena bounds
-      const dx = point.x - CENTER.x;
-      const dy = point.y - CENTER.y;
-      const dist = Math.hypot(dx, dy);
-      const maxDist = ARENA_RADIUS - 20;
-      if (dist > maxDist) {
-        const scale = maxDist / dist;
-        point.x = CENTER.x + dx * scale;
-        point.y = CENTER.y + dy * scale;
-      }
-      
-      warriors.push(new Warrior(type, point.x, point.y));
+// Shaped by the chosen map; battles build their own from the same map
+let arena = createArena(canvas.width, canvas.height);
+
+let sim = null;
+let recorder = null;
+let stats = null;
+// ScriptRunner for the battle's scripted units, if it has any
+let scripts = null;
+let replaying = false;
+let running = false;
+let animationFrameId = null;
+let lastTimestamp = 0;
+let accumulator = 0;
+// Whether a tick run between frames took an analytics sample
+let sampledOffFrame = false;
+
+// Shared by battles, replays and the setup view
+const camera = new Camera(canvas.width, canvas.height);
+setView(camera);
+// How close the camera moves in, at least, when following a unit
+const FOLLOW_ZOOM = 2;
+
+// After a long stall (background tab, debugger) only this many ticks are
+// replayed in one frame; the rest of the backlog is dropped instead of
+// freezing the page while the engine catches up. Scaled up when fast-forwarding.
+const MAX_STEPS_PER_FRAME = 8;
+
+// Battle speeds on offer. Fast-forward runs more fixed ticks per frame rather
+// than a bigger dt, so projectiles and collisions behave exactly as at 1×.
+const SPEEDS = [0.25, 0.5, 1, 2, 4, 10];
+
+// Turn engine events into the cosmetic side of the battle: sparks and sounds.
+function handleSimEvents(events) {
+  for (const event of events) {
+    if (event.kind === "hit") {
+      spawnHitEffect(event.x, event.y);
+      playHitSound();
+    } else if (event.kind === "death") {
+      playDeathSound(sim.types[event.type].sound);
+    } else if (event.kind === "heal") {
+      spawnHitEffect(event.x, event.y, "rgba(124,242,156,0.9)");
+    } else if (event.kind === "ability") {
+      spawnHitEffect(event.x, event.y, "rgba(255,224,102,0.9)");
+    } else if (event.kind === "burst") {
+      spawnHitEffect(event.x, event.y, "rgba(255,140,60,0.9)");
+    } else if (event.kind === "wave") {
+      spawnHitEffect(event.x, event.y, "rgba(255,92,92,0.9)");
     }
   }
 }
 
-function collectCounts() {
+function collectCounts(multiplier = parseFloat(multiplierInput.value)) {
   const data = new FormData(form);
-  const multiplier = parseFloat(multiplierInput.value);
   const counts = {};
   for (const type of Object.keys(TYPE_CONFIG)) {
     const base = clampRatioValue(data.get(type));
@@ -488,322 +401,302 @@ function collectCounts() {
   return counts;
 }
 
-function clearArena() {
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  ctx.save();
-  ctx.translate(CENTER.x, CENTER.y);
-  const gradient = ctx.createRadialGradient(0, 0, ARENA_RADIUS * 0.05, 0, 0, ARENA_RADIUS);
-  gradient.addColorStop(0, "rgba(19,27,48,0.8)");
-  gradient.addColorStop(1, "rgba(4,5,10,0.9)");
-  ctx.fillStyle = gradient;
-  ctx.beginPath();
-  ctx.arc(0, 0, ARENA_RADIUS, 0, Math.PI * 2);
-  ctx.fill();
-  ctx.setLineDash([10, 12]);
-  ctx.lineWidth = 4;
-  ctx.strokeStyle = "rgba(255,255,255,0.12)";
-  ctx.stroke();
-  ctx.restore();
-}
-
-function playHitSound() {
+// What the form describes, in the shape Simulation takes: { counts } for a
+// free-for-all by shape or { teams } for a team battle.
+function collectForces() {
+  const layout = layoutSelect.value;
+  const map = getMap();
+  const matchups = getMatchups();
+  const forces = isTeamMode()
+    ? { teams: collectTeams(parseFloat(multiplierInput.value)), layout, map, matchups }
+    : { counts: collectCounts(), layout, map, matchups };
+  if (layout === "placed") {
+    forces.placed = getPlacedUnits(isTeamMode(), collectTeams());
+  }
+  return forces;
+}
+
+// A blank seed field means "surprise me": roll a fresh seed but surface it in
+// the placeholder and the URL so the battle can still be replayed.
+function collectSeed() {
+  const typed = seedInput.value.trim();
+  const seed = typed || randomSeed();
+  seedInput.placeholder = typed ? "Random" : `Random (last: ${seed})`;
+  return seed;
+}
+
+function syncSeedToUrl(seed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set("seed", seed);
+  history.replaceState(null, "", url);
+}
+
+function loadSeedFromUrl() {
+  const seed = initialParams.get("seed");
+  if (seed) {
+    seedInput.value = seed;
+  }
+}
+
+// The whole setup form as a shareable config (counts are the 1× base values)
+function currentConfig() {
+  return buildConfig({
+    mode: battleModeSelect.value,
+    counts: Object.fromEntries(ratioInputs.map((input) => [input.name, clampRatioValue(input.value)])),
+    teams: collectTeams(),
+    multiplier: Number(multiplierInput.value),
+    seed: seedInput.value.trim(),
+    layout: layoutSelect.value,
+    placed: getPaintedUnits(),
+    map: getMapChoice(),
+    matchups: getMatchups(),
+    waves: isSurvivalMode() ? getWaveFile() : null,
+    budget: currentBudget(),
+  });
+}
+
+// Keep the address bar in step with the form so the page can be reloaded or
+// the link sent to someone without losing the setup.
+function syncConfigToUrl() {
+  const url = new URL(window.location.href);
+  url.searchParams.set("config", encodeConfigParam(currentConfig()));
+  history.replaceState(null, "", url);
+}
+
+// Fill the form from a parsed config. Shipped unit types replace the
+// built-ins of the same id; this page's other custom types stay available.
+function applyConfig(config) {
+  const custom = Object.entries(TYPE_CONFIG).filter(([id]) => !isBuiltinType(id));
+  replaceUnitTypes({ ...BUILTIN_TYPES, ...Object.fromEntries(custom), ...config.units });
+  for (const input of ratioInputs) {
+    input.value = config.counts[input.name] ?? 0;
+  }
+  if (config.teams.length > 0) {
+    setTeams(config.teams);
+  }
+  // Placed units refer to teams by position; map them onto the new team ids
+  const teamIds = collectTeams().map((team) => team.id);
+  setPlacedUnits(config.placed.map((unit) => ({ ...unit, team: teamIds[unit.team] ?? null })));
+  layoutSelect.value = config.layout;
+  setMapChoice(config.map);
+  setMatchups(config.matchups);
+  if (config.waves) {
+    setWaveFile(config.waves);
+  }
+  multiplierInput.value = config.multiplier;
+  multiplierValue.textContent = `${config.multiplier}×`;
+  lastMultiplier = config.multiplier;
+  budgetInput.value = config.budget;
+  battleModeSelect.value = config.mode;
+  seedInput.value = config.seed;
+  applyBattleMode();
+}
+
+function loadConfigFromUrl() {
+  const param = initialParams.get("config");
+  if (!param) {
+    return;
+  }
   try {
-    const ctx = getAudioContext();
-    const oscillator = ctx.createOscillator();
-    const gainNode = ctx.createGain();
-    
-    oscillator.connect(gainNode);
-    gainNode.connect(ctx.destination);
-    
-    // Short, sharp "tck" sound - high frequency, very brief
-    const frequency = 1000 + Math.random() * 200; // 1000-1200 Hz
-    const duration = 0.06; // Very short
-    const attackTime = 0.002; // Instant attack
-    const decayTime = 0.058; // Quick decay
-    
-    oscillator.type = "sine";
-    oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
-    
-    // Envelope: instant attack, quick decay
-    const now = ctx.currentTime;
-    gainNode.gain.setValueAtTime(0, now);
-    gainNode.gain.linearRampToValueAtTime(0.08, now + attackTime); // Subtle volume
-    gainNode.gain.linearRampToValueAtTime(0, now + attackTime + decayTime);
-    
-    oscillator.start(now);
-    oscillator.stop(now + duration);
-  } catch (e) {
-    // Silently fail if audio context creation fails (e.g., user interaction required)
-    console.debug("Audio context not available:", e);
-  }
-}
-
-function playDeathSound(type) {
+    applyConfig(decodeConfigParam(param));
+    configStatus.textContent = "Loaded the setup from the link.";
+  } catch (error) {
+    configStatus.textContent = error.message;
+  }
+}
+
+async function copyLink() {
+  syncConfigToUrl();
   try {
-    const ctx = getAudioContext();
-    const oscillator = ctx.createOscillator();
-    const gainNode = ctx.createGain();
-    
-    oscillator.connect(gainNode);
-    gainNode.connect(ctx.destination);
-    
-    // Different frequencies and characteristics for each type
-    let frequency, duration, attackTime, decayTime;
-    
-    switch (type) {
-      case "circle":
-        // Higher pitch, quick "pop" or "zap" sound
-        frequency = 600 + Math.random() * 200;
-        duration = 0.15;
-        attackTime = 0.01;
-        decayTime = 0.14;
-        oscillator.type = "sine";
-        break;
-      case "square":
-        // Lower pitch, deeper "thud" or "crunch" sound
-        frequency = 150 + Math.random() * 100;
-        duration = 0.25;
-        attackTime = 0.02;
-        decayTime = 0.23;
-        oscillator.type = "sawtooth";
-        break;
-      case "triangle":
-        // Medium pitch, "ping" or "chime" sound
-        frequency = 400 + Math.random() * 150;
-        duration = 0.2;
-        attackTime = 0.01;
-        decayTime = 0.19;
-        oscillator.type = "sine";
-        break;
-      default:
-        frequency = 300;
-        duration = 0.15;
-        attackTime = 0.01;
-        decayTime = 0.14;
-        oscillator.type = "sine";
-    }
-    
-    oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
-    
-    // Envelope: quick attack, then decay
-    const now = ctx.currentTime;
-    gainNode.gain.setValueAtTime(0, now);
-    gainNode.gain.linearRampToValueAtTime(0.15, now + attackTime);
-    gainNode.gain.linearRampToValueAtTime(0, now + attackTime + decayTime);
-    
-    oscillator.start(now);
-    oscillator.stop(now + duration);
-  } catch (e) {
-    // Silently fail if audio context creation fails (e.g., user interaction required)
-    console.debug("Audio context not available:", e);
-  }
-}
-
-function spawnHitEffect(x, y) {
-  hitEffects.push({
-    x,
-    y,
-    life: 0,
-    maxLife: 0.25 + Math.random() * 0.1,
-    size: 12 + Math.random() * 8,
-    rotation: Math.random() * Math.PI,
-  });
+    await navigator.clipboard.writeText(window.location.href);
+    configStatus.textContent = "Link copied. Anyone opening it gets this exact setup.";
+  } catch {
+    configStatus.textContent = "Could not reach the clipboard; copy the address bar instead.";
+  }
 }
 
-function updateHitEffects(dt) {
-  hitEffects.forEach((fx) => {
-    fx.life += dt;
-  });
-  hitEffects = hitEffects.filter((fx) => fx.life < fx.maxLife);
-}
-
-function drawHitEffects() {
-  if (!hitEffects.length) return;
-  ctx.save();
-  ctx.strokeStyle = "rgba(255,255,255,0.9)";
-  ctx.lineWidth = 2.5;
-  ctx.lineCap = "round";
-  for (const fx of hitEffects) {
-    const t = fx.life / fx.maxLife;
-    const alpha = 1 - t;
-    const size = fx.size * (0.7 + 0.3 * t);
-    ctx.globalAlpha = alpha;
-    ctx.translate(fx.x, fx.y);
-    ctx.rotate(fx.rotation);
-    // Simple 4-point star (like a sparkle)
-    ctx.beginPath();
-    ctx.moveTo(-size, 0);
-    ctx.lineTo(size, 0);
-    ctx.moveTo(0, -size * 0.6);
-    ctx.lineTo(0, size * 0.6);
-    ctx.stroke();
-    ctx.setTransform(1, 0, 0, 1, 0, 0); // reset transform
-  }
-  ctx.restore();
-}
-
-function drawVictoryMessage() {
-  if (!winnerType) return;
-  
-  ctx.save();
-  ctx.textAlign = "center";
-  ctx.textBaseline = "middle";
-  ctx.font = "bold 48px Inter, system-ui, sans-serif";
-  ctx.fillStyle = TYPE_CONFIG[winnerType].color;
-  
-  const typeName = capitalize(winnerType) + (winnerType === "triangle" ? "s" : "s");
-  ctx.fillText(`${typeName} win!`, CENTER.x, CENTER.y);
-  ctx.restore();
-}
-
-function drawWarrior(warrior) {
-  ctx.save();
-  ctx.translate(warrior.x, warrior.y);
-  ctx.fillStyle = warrior.config.color;
-  switch (warrior.type) {
-    case "circle":
-      ctx.beginPath();
-      ctx.arc(0, 0, warrior.config.size, 0, Math.PI * 2);
-      ctx.fill();
-      break;
-    case "square":
-      ctx.rotate(warrior.heading * 0.2);
-      const size = warrior.config.size;
-      ctx.fillRect(-size, -size, size * 2, size * 2);
-      break;
-    case "triangle":
-      ctx.rotate(warrior.heading);
-      ctx.beginPath();
-      const s = warrior.config.size * 1.2;
-      ctx.moveTo(s, 0);
-      ctx.lineTo(-s * 0.8, s * 0.75);
-      ctx.lineTo(-s * 0.8, -s * 0.75);
-      ctx.closePath();
-      ctx.fill();
-      break;
-    default:
-      break;
-  }
-
-  // health bar
-  const healthWidth = 26;
-  const healthHeight = 4;
-  ctx.fillStyle = "rgba(0,0,0,0.6)";
-  ctx.fillRect(-healthWidth / 2, -warrior.config.size - 10, healthWidth, healthHeight);
-  const hpRatio = Math.max(0, warrior.hp / warrior.config.hp);
-  ctx.fillStyle = "#4cffaa";
-  ctx.fillRect(
-    -healthWidth / 2,
-    -warrior.config.size - 10,
-    healthWidth * hpRatio,
-    healthHeight
-  );
-  ctx.restore();
+function exportConfig() {
+  downloadJson(currentConfig(), "ratio-arena-setup.json");
+  configStatus.textContent = "Setup exported.";
 }
 
-function drawProjectiles() {
-  ctx.save();
-  ctx.fillStyle = "rgba(255,255,255,0.7)";
-  for (const projectile of projectiles) {
-    ctx.beginPath();
-    ctx.arc(projectile.x, projectile.y, projectile.radius, 0, Math.PI * 2);
-    ctx.fill();
+async function importConfig() {
+  const [file] = importConfigInput.files;
+  importConfigInput.value = "";
+  if (!file) {
+    return;
+  }
+  try {
+    applyConfig(parseConfig(await readJsonFile(file)));
+    resetArena();
+    syncConfigToUrl();
+    configStatus.textContent = `Loaded ${file.name}.`;
+  } catch (error) {
+    configStatus.textContent = error.message;
   }
-  ctx.restore();
 }
 
 function updateStats() {
-  const aliveCounts = { circle: 0, square: 0, triangle: 0 };
-  for (const warrior of warriors) {
-    if (warrior.alive) {
-      aliveCounts[warrior.type] += 1;
-    }
-  }
-  for (const type of Object.keys(aliveCounts)) {
-    let node = counterNodes[type];
-    // Fallback: try to find the element if it's not initialized
-    if (!node) {
-      node = document.querySelector(`.counter-value[data-type="${type}"]`);
-      if (node) {
-        counterNodes[type] = node;
-      } else {
-        // Element doesn't exist yet, skip this update
-        continue;
-      }
-    }
-    // Double-check node is valid before setting textContent
-    if (node && node.nodeType === 1 && typeof node.textContent !== 'undefined') {
-      try {
-        node.textContent = aliveCounts[type].toString();
-      } catch (e) {
-        console.warn(`Failed to update counter for ${type}:`, e);
-        // Clear the cached node if it's invalid
-        counterNodes[type] = null;
-      }
-    }
+  const aliveCounts = sim ? sim.countAliveByTeam() : {};
+  for (const { node, team, type } of counterNodes) {
+    const byType = aliveCounts[team] ?? {};
+    const count = type ? byType[type] ?? 0 : Object.values(byType).reduce((sum, n) => sum + n, 0);
+    node.textContent = count.toString();
   }
   return aliveCounts;
 }
 
-function determineVictor(aliveCounts) {
-  const livingTypes = Object.entries(aliveCounts).filter(([, count]) => count > 0);
-  if (livingTypes.length <= 1) {
-    if (livingTypes.length === 0) {
-      setStatus("All units eliminated", "muted");
-      winnerType = null;
-    } else {
-      const [type] = livingTypes[0];
-      setStatus(`${capitalize(type)} dominate`, type);
-      winnerType = type; // Store winner for victory message
-    }
-    return true;
+// Close a survival run: say how far the defenders got and file the score
+function finishSurvival() {
+  const progress = sim.progress;
+  showSurvivalProgress(progress);
+  const rank = recordSurvivalScore({
+    ...progress,
+    duration: sim.time,
+    counts: sim.teamById(DEFENDERS_TEAM.id).counts,
+  });
+  const best = rank === 1 ? " · New best!" : "";
+  if (sim.winner === DEFENDERS_TEAM.id) {
+    setStatus(`Held all ${progress.wave} waves · ${progress.score} pts${best}`, DEFENDERS_TEAM.color);
+  } else {
+    setStatus(`Overrun on wave ${progress.wave} · ${progress.score} pts${best}`, WAVES_TEAM.color);
   }
-  return false;
 }
 
-function capitalize(value) {
-  return value.charAt(0).toUpperCase() + value.slice(1);
+function determineVictor() {
+  if (!sim.finished) {
+    return false;
+  }
+  if (sim instanceof SurvivalSimulation) {
+    finishSurvival();
+    return true;
+  }
+  const winner = sim.winningTeam;
+  if (winner) {
+    setStatus(`${winner.name} ${sim.teamMode ? "dominates" : "dominate"}`, winner.color);
+  } else {
+    setStatus("All units eliminated", "muted");
+  }
+  return true;
 }
 
+// tone is one of the named tones below or a unit/team color
 function setStatus(text, tone = "neutral") {
   statusPill.textContent = text;
   const toneColors = {
     neutral: "rgba(255,255,255,0.3)",
-    circle: TYPE_CONFIG.circle.color,
-    square: TYPE_CONFIG.square.color,
-    triangle: TYPE_CONFIG.triangle.color,
     muted: "rgba(255,255,255,0.3)",
     running: "#4cffaa",
     paused: "#ffb347",
   };
-  statusPill.style.borderColor = toneColors[tone] ?? toneColors.neutral;
-  statusPill.style.color = toneColors[tone] ?? toneColors.neutral;
+  const color = toneColors[tone] ?? (tone.startsWith("#") ? tone : toneColors.neutral);
+  statusPill.style.borderColor = color;
+  statusPill.style.color = color;
+}
+
+function currentSpeed() {
+  return Number(speedSelect.value);
+}
+
+function showRunningStatus() {
+  const speed = currentSpeed();
+  setStatus(speed === 1 ? "Battle running" : `Battle running · ${speed}×`, "running");
+}
+
+// Move one notch along SPEEDS; direction is 1 for faster, -1 for slower
+function shiftSpeed(direction) {
+  const index = SPEEDS.indexOf(currentSpeed()) + direction;
+  if (index < 0 || index >= SPEEDS.length) return;
+  speedSelect.value = SPEEDS[index];
+  handleSpeedChange();
+}
+
+function handleSpeedChange() {
+  if (running) {
+    showRunningStatus();
+  }
+}
+
+// How far the display is between the last two engine ticks
+function frameAlpha() {
+  return sim.finished ? 1 : Math.min(1, accumulator / FIXED_DT);
+}
+
+// Draw the battle through the camera, tracking the inspected unit if asked
+function renderBattle(alpha = frameAlpha()) {
+  const inspected = getInspected();
+  if (isFollowing()) {
+    const x = inspected.prevX + (inspected.x - inspected.prevX) * alpha;
+    const y = inspected.prevY + (inspected.y - inspected.prevY) * alpha;
+    camera.lookAt(x, y, Math.max(camera.zoom, FOLLOW_ZOOM));
+  }
+  drawBattle(ctx, sim, alpha);
+  if (inspected?.alive) {
+    drawInspection(ctx, inspected, alpha);
+  }
+}
+
+// Repaint whatever the arena is showing, e.g. after the camera moved
+function redrawArena() {
+  if (sim) {
+    renderBattle();
+  } else if (replaying) {
+    redrawReplay();
+  } else {
+    drawSetup();
+  }
+}
+
+// One engine tick, fed to the recorder, the analytics and the effects.
+// Returns true when the analytics took a sample.
+function advance() {
+  scripts?.beforeStep();
+  sim.step(FIXED_DT);
+  scripts?.afterStep();
+  const events = sim.drainEvents();
+  recorder.recordStep(events);
+  const sampled = stats.record();
+  handleSimEvents(events);
+  return sampled;
+}
+
+// Bring the arena and every readout in line with the battle after ticks ran
+function presentBattle(sampled, alpha = frameAlpha()) {
+  if (sampled) {
+    showAnalytics(stats);
+  }
+  renderBattle(alpha);
+  updateInspector();
+  updateStats();
+  if (sim instanceof SurvivalSimulation) {
+    showSurvivalProgress(sim.progress);
+  }
 }
 
 function update(timestamp) {
   if (!running) {
     return;
   }
-  const delta = (timestamp - lastTimestamp) / 1000 || 0;
+  const speed = currentSpeed();
+  const delta = ((timestamp - lastTimestamp) / 1000 || 0) * speed;
   lastTimestamp = timestamp;
 
-  for (const warrior of warriors) {
-    warrior.update(delta, warriors);
+  accumulator += delta;
+  const maxSteps = Math.ceil(MAX_STEPS_PER_FRAME * Math.max(1, speed));
+  let steps = 0;
+  let sampled = sampledOffFrame;
+  sampledOffFrame = false;
+  while (accumulator >= FIXED_DT && steps < maxSteps && !sim.finished && (!scripts || scripts.ready)) {
+    sampled = advance() || sampled;
+    accumulator -= FIXED_DT;
+    steps += 1;
   }
-  projectiles.forEach((projectile) => projectile.update(delta));
-  projectiles = projectiles.filter((projectile) => projectile.alive);
-  warriors = warriors.filter((warrior) => warrior.alive);
+  // Never owe more than a frame's worth of ticks, or a slow machine (or a
+  // slow script) would only fall further behind
+  accumulator = Math.min(accumulator, steps === maxSteps ? FIXED_DT : maxSteps * FIXED_DT);
   updateHitEffects(delta);
-
-  clearArena();
-  drawProjectiles();
-  warriors.forEach(drawWarrior);
-  drawHitEffects();
-
-  const aliveCounts = updateStats();
-  if (determineVictor(aliveCounts)) {
-    // Draw victory message before stopping
-    drawVictoryMessage();
+  presentBattle(sampled);
+  if (determineVictor()) {
     stopAnimation();
     return;
   }
@@ -811,48 +704,149 @@ function update(timestamp) {
   animationFrameId = requestAnimationFrame(update);
 }
 
+// Scripted units think in a worker, whose answers land between frames. Each
+// answer runs the next tick the frame loop still owes straight away, so a
+// scripted battle keeps up with the speed selector instead of managing one
+// tick a frame. The next frame draws the result.
+function runOwedTick() {
+  if (!running || sim.finished || accumulator < FIXED_DT) {
+    return;
+  }
+  sampledOffFrame = advance() || sampledOffFrame;
+  accumulator -= FIXED_DT;
+}
+
+// Advance a paused battle by exactly one tick
+function stepOnce() {
+  if (!sim || running || sim.finished || (scripts && !scripts.ready)) {
+    return;
+  }
+  accumulator = 0;
+  const sampled = advance();
+  updateHitEffects(FIXED_DT);
+  presentBattle(sampled, 1);
+  if (determineVictor()) {
+    stopAnimation();
+  }
+}
+
+function stopScripts() {
+  scripts?.stop();
+  scripts = null;
+}
+
 function stopAnimation() {
+  stopScripts();
   running = false;
   pauseBtn.disabled = true;
+  stepBtn.disabled = true;
   startBtn.disabled = false;
   if (animationFrameId) {
     cancelAnimationFrame(animationFrameId);
     animationFrameId = null;
   }
-  // Redraw the final frame with victory message if there's a winner
-  if (winnerType) {
-    clearArena();
-    drawProjectiles();
-    warriors.forEach(drawWarrior);
-    drawHitEffects();
-    drawVictoryMessage();
-  }
+}
+
+// The form's armies for a batch, refused like a battle when over budget.
+// Survival batches fight the wave file like the arena does.
+function budgetedForces() {
+  assertWithinBudget(budgetSides(), currentBudget());
+  return isSurvivalMode() ? { ...collectForces(), waves: getWaveFile() } : collectForces();
 }
 
 function startBattle() {
-  const counts = collectCounts();
-  seedWarriors(counts);
+  try {
+    assertWithinBudget(budgetSides(), currentBudget());
+  } catch (error) {
+    configStatus.textContent = error.message;
+    return;
+  }
+  const seed = collectSeed();
+  stopScripts();
+  closeReplay();
+  clearInspection();
+  replaying = false;
+  const options = { ...collectForces(), arena, seed, scripted: getScriptedTypes() };
+  sim = isSurvivalMode()
+    ? new SurvivalSimulation({ ...options, waves: getWaveFile() })
+    : new Simulation(options);
+  scripts = startScripts(sim, runOwedTick);
+  recorder = new ReplayRecorder(sim);
+  stats = new BattleStats(sim);
+  reseedCosmetic(seed);
+  syncConfigToUrl();
+  syncSeedToUrl(seed);
+  clearHitEffects();
+  renderCounters();
   updateStats();
-  clearArena();
-  warriors.forEach(drawWarrior);
+  updateToolbars();
+  showAnalytics(stats);
+  renderBattle(1);
+  if (sim instanceof SurvivalSimulation) {
+    showSurvivalProgress(sim.progress);
+  }
 
   lastTimestamp = performance.now();
+  accumulator = 0;
   running = true;
   animationFrameId = requestAnimationFrame(update);
   startBtn.disabled = true;
   pauseBtn.disabled = false;
   pauseBtn.textContent = "Pause";
-  setStatus("Battle running", "running");
+  showRunningStatus();
+}
+
+// Put an exact composition into the form (at 1×) and play it straight away,
+// on the spawn layout the sweep fought it with rather than a painted army.
+function loadComposition(counts) {
+  for (const input of ratioInputs) {
+    input.value = clampRatioValue(counts[input.name] ?? 0);
+  }
+  layoutSelect.value = searchBattlefield().layout;
+  multiplierInput.value = 1;
+  multiplierValue.textContent = "1×";
+  lastMultiplier = 1;
+  battleModeSelect.value = "shapes";
+  applyBattleMode();
+  stopAnimation();
+  startBattle();
+  canvas.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+// The map, spawn layout and damage matchups the ratio sweep, the counter
+// optimizer and the balance tuner fight with: the setup's own, except that
+// hand-placed armies fall back to a random scatter
+function searchBattlefield() {
+  const layout = layoutSelect.value === "placed" ? "scatter" : layoutSelect.value;
+  return { layout, map: getMap(), matchups: getMatchups() };
+}
+
+// Put an optimizer matchup into the form (at 1×) as a two-team battle, ready
+// to start on the battlefield it was found on.
+function loadMatchup({ counter, enemy }) {
+  setTeams([
+    { ...COUNTER_TEAM, counts: counter },
+    { ...ENEMY_TEAM, counts: enemy },
+  ]);
+  layoutSelect.value = searchBattlefield().layout;
+  multiplierInput.value = 1;
+  multiplierValue.textContent = "1×";
+  lastMultiplier = 1;
+  battleModeSelect.value = "teams";
+  applyBattleMode();
+  syncConfigToUrl();
+  form.scrollIntoView({ behavior: "smooth", block: "start" });
 }
 
 function togglePause() {
-  if (!running && animationFrameId === null && warriors.length === 0) {
+  if (!running && animationFrameId === null && !sim) {
     return;
   }
 
   if (running) {
     running = false;
     pauseBtn.textContent = "Resume";
+    stepBtn.disabled = false;
     setStatus("Paused", "paused");
     if (animationFrameId) {
       cancelAnimationFrame(animationFrameId);
@@ -863,21 +857,51 @@ function togglePause() {
     lastTimestamp = performance.now();
     animationFrameId = requestAnimationFrame(update);
     pauseBtn.textContent = "Pause";
-    setStatus("Battle running", "running");
+    stepBtn.disabled = true;
+    showRunningStatus();
   }
 }
 
 function resetArena() {
   stopAnimation();
-  warriors = [];
-  projectiles = [];
-  winnerType = null; // Reset winner
-  clearArena();
-  updateStats();
+  closeReplay();
+  clearInspection();
+  camera.reset();
+  sim = null;
+  stats = null;
+  replaying = false;
+  clearHitEffects();
+  clearAnalytics();
+  clearSurvivalProgress();
+  refreshSetup();
   pauseBtn.textContent = "Pause";
   setStatus("Setup", "neutral");
 }
 
+// Battle shortcuts. Each does exactly what its control does, and nothing
+// while that control is disabled.
+function handleShortcut(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey || isTyping(event.target)) return;
+  if (event.key === " ") {
+    // Space already clicks a focused button; don't toggle twice
+    if (event.target instanceof HTMLButtonElement) return;
+    if (!pauseBtn.disabled) {
+      togglePause();
+    }
+  } else if (event.key === ".") {
+    if (!stepBtn.disabled) {
+      stepOnce();
+    }
+  } else if (event.key === "[") {
+    shiftSpeed(-1);
+  } else if (event.key === "]") {
+    shiftSpeed(1);
+  } else {
+    return;
+  }
+  event.preventDefault();
+}
+
 function handleResize() {
   // Keep the canvas square while respecting wrapper width
   const wrapper = canvas.parentElement;
@@ -890,40 +914,168 @@ function handleResize() {
 function handleRatioInput(event) {
   const { target } = event;
   if (!(target instanceof HTMLInputElement)) return;
-  const clamped = clampRatioValue(target.value);
+  const type = target.name;
+  // Each shape is its own side in a free-for-all; in survival they all defend
+  // together
+  const sideCounts = isSurvivalMode()
+    ? (n) => ({ ...Object.fromEntries(ratioInputs.map((input) => [input.name, clampRatioValue(input.value)])), [type]: n })
+    : (n) => ({ [type]: n });
+  const side = isSurvivalMode() ? "the defenders" : "its side";
+  const previous = clampRatioValue(target.dataset.previous ?? 0);
+  const clamped = limitToBudget(type, clampRatioValue(target.value), previous, sideCounts, side);
   if (Number(target.value) !== clamped) {
     target.value = clamped;
   }
+  target.dataset.previous = clamped;
+  renderBudget();
 }
 
+// The largest multiplier from previous up to value at which every side stays
+// on budget. Sides already over at previous may stay that way.
+function limitMultiplier(value, previous) {
+  const budget = currentBudget();
+  const fits = (multiplier) => budgetSides(multiplier).every((side) => withinBudget(side.counts, budget));
+  let allowed = value;
+  while (allowed > previous && !fits(allowed)) {
+    allowed -= 1;
+  }
+  return allowed;
+}
+
+speedSelect.append(...SPEEDS.map((speed) => new Option(`${speed}×`, speed, speed === 1, speed === 1)));
+
 multiplierInput.addEventListener("input", () => {
-  multiplierValue.textContent = `${Number(multiplierInput.value)}×`;
+  const wanted = Number(multiplierInput.value);
+  const multiplier = limitMultiplier(wanted, lastMultiplier);
+  if (multiplier !== wanted) {
+    multiplierInput.value = multiplier;
+    configStatus.textContent = `Over budget: at ${wanted}× not every side fits the ${currentBudget()} pt budget.`;
+  }
+  lastMultiplier = multiplier;
+  multiplierValue.textContent = `${multiplier}×`;
+  renderBudget();
 });
+budgetInput.addEventListener("input", renderBudget);
 
-ratioInputs.forEach((input) => {
-  input.min = RATIO_LIMITS.min;
-  input.max = RATIO_LIMITS.max;
-  input.addEventListener("input", handleRatioInput);
+onUnitTypesChange(() => {
+  renderRatioFields();
+  refreshSetup();
+  syncConfigToUrl();
+});
+renderRatioFields();
+initTeamFields({
+  onChange: () => {
+    refreshSetup();
+    syncConfigToUrl();
+  },
+  limitCount: limitTeamCount,
+});
+initMapEditor({
+  canvas,
+  getArena: () => arena,
+  isAvailable: isSetupShowing,
+  onChange: () => {
+    refreshSetup();
+    syncConfigToUrl();
+  },
+  onPreview: drawSetup,
+});
+initPlacement({
+  canvas,
+  getArena: () => arena,
+  isEnabled: isPlacing,
+  isTeamMode,
+  getTeams: () => collectTeams(),
+  onChange: () => {
+    drawSetup();
+    renderBudget();
+    syncConfigToUrl();
+  },
+});
+applyBattleMode();
+initUnitEditor();
+initMatchupEditor({ onChange: syncConfigToUrl });
+initSurvivalFields({
+  onChange: () => {
+    refreshSetup();
+    syncConfigToUrl();
+  },
 });
 
+initInspector({
+  canvas,
+  getSim: () => sim,
+  onChange: () => {
+    if (sim) {
+      renderBattle();
+    }
+  },
+});
+initCameraControls({
+  canvas,
+  camera,
+  ownsLeftButton: () => isPlacing() || (isEditingMap() && isSetupShowing()),
+  onChange: (kind) => {
+    // Zooming keeps a followed unit centered; moving the view elsewhere lets go
+    if (kind !== "zoom") {
+      stopFollowing();
+    }
+    redrawArena();
+  },
+});
+initAnalyticsPanel();
+initScriptPanel();
+initBatchPanel({ getForces: budgetedForces, getSeed: collectSeed });
+initSweepPanel({ getSeed: collectSeed, getBattlefield: searchBattlefield, onPlay: loadComposition });
+initOptimizerPanel({
+  getSeed: collectSeed,
+  getBattlefield: searchBattlefield,
+  getBudget: currentBudget,
+  onLoad: loadMatchup,
+});
+initTunerPanel({ getSeed: collectSeed, getBattlefield: searchBattlefield });
+initReplayPanel({
+  ctx,
+  getRecording: () => recorder,
+  onOpen: () => {
+    stopAnimation();
+    clearInspection();
+    sim = null;
+    replaying = true;
+    renderCounters();
+    updateStats();
+    updateToolbars();
+    setStatus("Replay", "paused");
+  },
+  onExit: resetArena,
+});
+
+battleModeSelect.addEventListener("change", applyBattleMode);
+layoutSelect.addEventListener("change", refreshSetup);
+form.addEventListener("change", syncConfigToUrl);
+copyLinkBtn.addEventListener("click", copyLink);
+exportConfigBtn.addEventListener("click", exportConfig);
+importConfigInput.addEventListener("change", importConfig);
 startBtn.addEventListener("click", startBattle);
 pauseBtn.addEventListener("click", togglePause);
+stepBtn.addEventListener("click", stepOnce);
+speedSelect.addEventListener("change", handleSpeedChange);
 resetBtn.addEventListener("click", resetArena);
 window.addEventListener("resize", handleResize);
+window.addEventListener("keydown", handleShortcut);
 
-// Initialize counter nodes when DOM is ready
+// Initial paint once the DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
-    initCounterNodes();
+    loadConfigFromUrl();
+    loadSeedFromUrl();
     resetArena();
-    multiplierValue.textContent = "1×";
     handleResize();
   });
 } else {
-  initCounterNodes();
-  // Initial paint
+  loadConfigFromUrl();
+  loadSeedFromUrl();
   resetArena();
-  multiplierValue.textContent = "1×";
   handleResize();
 }
 
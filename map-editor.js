@@ -0,0 +1,217 @@
+// Map picker and editor. The setup form chooses one of the preset maps or a
+// custom one; "Edit Map" copies the current map into the custom slot and lets
+// you draw on the arena: click for pillars and mud, drag for walls, erase by
+// clicking on a feature.
+
+import { MAP_LIMITS, MAP_PRESETS, OPEN_MAP, WALL_WIDTH, normalizeMap, toMapUnits } from "./maps.js";
+import { applyView, worldPoint } from "./renderer.js";
+
+const CUSTOM = "custom";
+const PILLAR_RADIUS = 0.06;
+const MUD_RADIUS = 0.15;
+// Walls shorter than this (in arena units) are treated as a stray click
+const MIN_WALL_LENGTH = 0.05;
+
+let select = null;
+let customMap = { ...OPEN_MAP, name: "Custom map" };
+let editing = false;
+let draft = null; // Wall being dragged: { x1, y1, x2, y2 } in arena units
+let editor = null;
+
+// The map definition currently chosen in the form
+export function getMap() {
+  return select?.value === CUSTOM ? customMap : MAP_PRESETS[select?.value] ?? OPEN_MAP;
+}
+
+// What a config stores: a preset id, or the whole custom map
+export function getMapChoice() {
+  return select.value === CUSTOM ? customMap : select.value;
+}
+
+export function setMapChoice(choice) {
+  if (typeof choice === "string") {
+    select.value = choice;
+  } else {
+    customMap = normalizeMap(choice);
+    select.value = CUSTOM;
+  }
+  editor?.update();
+}
+
+export function isEditingMap() {
+  return editing;
+}
+
+// Show or hide the editing toolbar, e.g. once a battle starts or ends
+export function updateMapBar() {
+  editor?.update();
+}
+
+// Preview of a wall while it is being dragged out
+export function drawMapDraft(ctx, arena) {
+  if (!draft) return;
+  const toWorld = (x, y) => ({ x: arena.center.x + x * arena.radius, y: arena.center.y + y * arena.radius });
+  const a = toWorld(draft.x1, draft.y1);
+  const b = toWorld(draft.x2, draft.y2);
+  ctx.save();
+  applyView(ctx);
+  ctx.lineCap = "round";
+  ctx.lineWidth = WALL_WIDTH * arena.radius;
+  ctx.strokeStyle = "rgba(255,255,255,0.35)";
+  ctx.beginPath();
+  ctx.moveTo(a.x, a.y);
+  ctx.lineTo(b.x, b.y);
+  ctx.stroke();
+  ctx.restore();
+}
+
+function distanceToSegment(px, py, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((px - x1) * dx + (py - y1) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (x1 + dx * t), py - (y1 + dy * t));
+}
+
+// isAvailable says whether the arena is free for editing (no battle or replay
+// on the canvas). getArena returns the arena for the current map; onChange
+// runs after the map or the editing state changed, onPreview while a wall is
+// being dragged out.
+export function initMapEditor({ canvas, getArena, isAvailable, onChange, onPreview }) {
+  select = document.getElementById("map");
+  const editBtn = document.getElementById("map-edit-btn");
+  const bar = document.getElementById("map-bar");
+  const shapeSelect = document.getElementById("map-shape");
+  const toolSelect = document.getElementById("map-tool");
+  const clearBtn = document.getElementById("map-clear-btn");
+  const doneBtn = document.getElementById("map-done-btn");
+
+  select.replaceChildren(
+    ...Object.entries(MAP_PRESETS).map(([id, map]) => new Option(map.name, id)),
+    new Option("Custom map", CUSTOM)
+  );
+
+  function isActive() {
+    return editing && isAvailable();
+  }
+
+  function changed() {
+    editor.update();
+    onChange();
+  }
+
+  // Rounded so custom maps stay short in links
+  function toUnits(event) {
+    const { x, y } = worldPoint(canvas, event);
+    const point = toMapUnits(getArena(), x, y);
+    return { x: Math.round(point.x * 1000) / 1000, y: Math.round(point.y * 1000) / 1000 };
+  }
+
+  // Copy on write: a battle or recording may still hold the previous map
+  function edit(mutate) {
+    customMap = { ...customMap, obstacles: [...customMap.obstacles], terrain: [...customMap.terrain] };
+    mutate(customMap);
+  }
+
+  function eraseAt({ x, y }) {
+    const hitObstacle = customMap.obstacles.findIndex((obstacle) =>
+      obstacle.kind === "wall"
+        ? distanceToSegment(x, y, obstacle.x1, obstacle.y1, obstacle.x2, obstacle.y2) <= WALL_WIDTH
+        : Math.hypot(x - obstacle.x, y - obstacle.y) <= obstacle.r
+    );
+    if (hitObstacle >= 0) {
+      edit((map) => map.obstacles.splice(hitObstacle, 1));
+      return true;
+    }
+    const hitPatch = customMap.terrain.findIndex((patch) => Math.hypot(x - patch.x, y - patch.y) <= patch.r);
+    if (hitPatch >= 0) {
+      edit((map) => map.terrain.splice(hitPatch, 1));
+      return true;
+    }
+    return false;
+  }
+
+  canvas.addEventListener("mousedown", (event) => {
+    if (!isActive()) return;
+    event.preventDefault();
+    const point = toUnits(event);
+    const tool = event.button === 2 || event.shiftKey ? "erase" : toolSelect.value;
+    if (tool === "wall" && customMap.obstacles.length < MAP_LIMITS.obstacles) {
+      draft = { x1: point.x, y1: point.y, x2: point.x, y2: point.y };
+      return;
+    }
+    let edited = false;
+    if (tool === "erase") {
+      edited = eraseAt(point);
+    } else if (tool === "pillar" && customMap.obstacles.length < MAP_LIMITS.obstacles) {
+      edit((map) => map.obstacles.push({ kind: "pillar", x: point.x, y: point.y, r: PILLAR_RADIUS }));
+      edited = true;
+    } else if (tool === "mud" && customMap.terrain.length < MAP_LIMITS.terrain) {
+      edit((map) => map.terrain.push({ kind: "mud", x: point.x, y: point.y, r: MUD_RADIUS }));
+      edited = true;
+    }
+    if (edited) {
+      changed();
+    }
+  });
+  canvas.addEventListener("mousemove", (event) => {
+    if (!draft) return;
+    const point = toUnits(event);
+    draft.x2 = point.x;
+    draft.y2 = point.y;
+    onPreview();
+  });
+  canvas.addEventListener("contextmenu", (event) => {
+    if (isActive()) {
+      event.preventDefault();
+    }
+  });
+  window.addEventListener("mouseup", () => {
+    if (!draft) return;
+    const wall = draft;
+    draft = null;
+    if (Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1) >= MIN_WALL_LENGTH) {
+      edit((map) => map.obstacles.push({ kind: "wall", ...wall }));
+    }
+    changed();
+  });
+
+  select.addEventListener("change", () => {
+    editing = editing && select.value === CUSTOM;
+    changed();
+  });
+  editBtn.addEventListener("click", () => {
+    if (select.value !== CUSTOM) {
+      // Start from whatever map was picked
+      customMap = { ...structuredClone(getMap()), name: "Custom map" };
+      select.value = CUSTOM;
+    }
+    editing = true;
+    changed();
+  });
+  doneBtn.addEventListener("click", () => {
+    editing = false;
+    changed();
+  });
+  shapeSelect.addEventListener("change", () => {
+    edit((map) => {
+      map.shape = shapeSelect.value;
+    });
+    changed();
+  });
+  clearBtn.addEventListener("click", () => {
+    edit((map) => {
+      map.obstacles = [];
+      map.terrain = [];
+    });
+    changed();
+  });
+
+  editor = {
+    update() {
+      bar.hidden = !isActive();
+      shapeSelect.value = customMap.shape;
+    },
+  };
+  editor.update();
+}
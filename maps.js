@@ -0,0 +1,348 @@
+// Battlefield maps: the arena outline (circle or rectangle), solid obstacles
+// that block movement, sight and projectiles, and terrain patches that slow
+// units down. Map definitions are plain JSON in arena units (the center is
+// 0,0 and 1 is the arena radius) so they fit any canvas size; resolveMap turns
+// one into world coordinates. Pure geometry, no DOM.
+
+export const ARENA_SHAPES = ["circle", "rectangle"];
+export const OBSTACLE_KINDS = ["wall", "pillar"];
+export const TERRAIN_KINDS = ["mud"];
+export const MAP_LIMITS = { obstacles: 200, terrain: 100 };
+
+// A rectangular arena is as wide as the circle but flatter
+const RECTANGLE_ASPECT = 0.62;
+export const WALL_WIDTH = 0.035;
+// Speed multiplier while standing in a terrain patch
+const TERRAIN_SLOW = { mud: 0.45 };
+
+export const OPEN_MAP = { name: "Open circle", shape: "circle", obstacles: [], terrain: [] };
+
+export const MAP_PRESETS = {
+  open: OPEN_MAP,
+  pillars: {
+    name: "Pillars",
+    shape: "circle",
+    obstacles: [
+      { kind: "pillar", x: 0, y: 0, r: 0.1 },
+      { kind: "pillar", x: -0.38, y: -0.38, r: 0.07 },
+      { kind: "pillar", x: 0.38, y: -0.38, r: 0.07 },
+      { kind: "pillar", x: -0.38, y: 0.38, r: 0.07 },
+      { kind: "pillar", x: 0.38, y: 0.38, r: 0.07 },
+    ],
+    terrain: [],
+  },
+  divide: {
+    name: "Divided",
+    shape: "circle",
+    obstacles: [
+      { kind: "wall", x1: 0, y1: -0.7, x2: 0, y2: -0.18 },
+      { kind: "wall", x1: 0, y1: 0.18, x2: 0, y2: 0.7 },
+    ],
+    terrain: [{ kind: "mud", x: 0, y: 0, r: 0.2 }],
+  },
+  marsh: {
+    name: "Marsh",
+    shape: "circle",
+    obstacles: [],
+    terrain: [
+      { kind: "mud", x: -0.2, y: -0.25, r: 0.25 },
+      { kind: "mud", x: 0.25, y: 0.2, r: 0.28 },
+      { kind: "mud", x: -0.1, y: 0.55, r: 0.18 },
+    ],
+  },
+  field: { name: "Open field", shape: "rectangle", obstacles: [], terrain: [] },
+  bunkers: {
+    name: "Bunkers",
+    shape: "rectangle",
+    obstacles: [
+      { kind: "wall", x1: -0.45, y1: -0.25, x2: -0.45, y2: 0.25 },
+      { kind: "wall", x1: 0.45, y1: -0.25, x2: 0.45, y2: 0.25 },
+      { kind: "wall", x1: -0.15, y1: -0.35, x2: 0.15, y2: -0.35 },
+      { kind: "wall", x1: -0.15, y1: 0.35, x2: 0.15, y2: 0.35 },
+      { kind: "pillar", x: 0, y: 0, r: 0.08 },
+    ],
+    terrain: [
+      { kind: "mud", x: 0, y: -0.45, r: 0.12 },
+      { kind: "mud", x: 0, y: 0.45, r: 0.12 },
+    ],
+  },
+};
+
+function isUnitNumber(value, limit = 1.5) {
+  return Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+// Check a map definition from a config, replay or the editor. Throws with a
+// message fit for the user; returns a clean copy.
+export function normalizeMap(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("a map must be an object with a shape, obstacles and terrain.");
+  }
+  const shape = data.shape ?? "circle";
+  if (!ARENA_SHAPES.includes(shape)) {
+    throw new Error(`unknown arena shape "${shape}".`);
+  }
+  const obstacles = data.obstacles ?? [];
+  const terrain = data.terrain ?? [];
+  if (!Array.isArray(obstacles) || !Array.isArray(terrain)) {
+    throw new Error("map obstacles and terrain must be lists.");
+  }
+  if (obstacles.length > MAP_LIMITS.obstacles || terrain.length > MAP_LIMITS.terrain) {
+    throw new Error(
+      `a map holds at most ${MAP_LIMITS.obstacles} obstacles and ${MAP_LIMITS.terrain} terrain patches.`
+    );
+  }
+  return {
+    name: String(data.name ?? "Custom map").slice(0, 40),
+    shape,
+    obstacles: obstacles.map((obstacle, index) => {
+      if (obstacle?.kind === "wall") {
+        const { x1, y1, x2, y2 } = obstacle;
+        if (![x1, y1, x2, y2].every((value) => isUnitNumber(value))) {
+          throw new Error(`wall ${index + 1} needs x1, y1, x2 and y2 inside the arena.`);
+        }
+        return { kind: "wall", x1, y1, x2, y2 };
+      }
+      if (obstacle?.kind === "pillar") {
+        const { x, y, r } = obstacle;
+        if (!isUnitNumber(x) || !isUnitNumber(y) || !(r > 0 && r <= 0.5)) {
+          throw new Error(`pillar ${index + 1} needs x and y inside the arena and a radius up to 0.5.`);
+        }
+        return { kind: "pillar", x, y, r };
+      }
+      throw new Error(`obstacle ${index + 1} has unknown kind "${obstacle?.kind}".`);
+    }),
+    terrain: terrain.map((patch, index) => {
+      if (!TERRAIN_KINDS.includes(patch?.kind)) {
+        throw new Error(`terrain patch ${index + 1} has unknown kind "${patch?.kind}".`);
+      }
+      const { x, y, r } = patch;
+      if (!isUnitNumber(x) || !isUnitNumber(y) || !(r > 0 && r <= 1)) {
+        throw new Error(`terrain patch ${index + 1} needs x and y inside the arena and a radius up to 1.`);
+      }
+      return { kind: patch.kind, x, y, r };
+    }),
+  };
+}
+
+// World-space version of a map for an arena centered at center with the given
+// radius. Every obstacle becomes a capsule (a segment with a thickness); a
+// pillar is simply a segment of zero length.
+export function resolveMap(map, center, radius) {
+  const toWorld = (x, y) => ({ x: center.x + x * radius, y: center.y + y * radius });
+  const obstacles = map.obstacles.map((obstacle) => {
+    if (obstacle.kind === "wall") {
+      const a = toWorld(obstacle.x1, obstacle.y1);
+      const b = toWorld(obstacle.x2, obstacle.y2);
+      return { kind: "wall", ax: a.x, ay: a.y, bx: b.x, by: b.y, r: (WALL_WIDTH / 2) * radius };
+    }
+    const p = toWorld(obstacle.x, obstacle.y);
+    return { kind: "pillar", ax: p.x, ay: p.y, bx: p.x, by: p.y, r: obstacle.r * radius };
+  });
+  const terrain = map.terrain.map((patch) => ({
+    kind: patch.kind,
+    ...toWorld(patch.x, patch.y),
+    r: patch.r * radius,
+    slow: TERRAIN_SLOW[patch.kind],
+  }));
+  return {
+    shape: map.shape,
+    halfWidth: radius,
+    halfHeight: map.shape === "rectangle" ? radius * RECTANGLE_ASPECT : radius,
+    obstacles,
+    terrain,
+  };
+}
+
+// World point to map units and back, for editors
+export function toMapUnits(arena, x, y) {
+  return { x: (x - arena.center.x) / arena.radius, y: (y - arena.center.y) / arena.radius };
+}
+
+function closestOnSegment(ax, ay, bx, by, px, py) {
+  const abx = bx - ax;
+  const aby = by - ay;
+  const lengthSq = abx * abx + aby * aby;
+  const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((px - ax) * abx + (py - ay) * aby) / lengthSq)) : 0;
+  return { x: ax + abx * t, y: ay + aby * t };
+}
+
+function cross(ax, ay, bx, by) {
+  return ax * by - ay * bx;
+}
+
+// Shortest distance between segments p1-q1 and p2-q2
+function segmentDistance(p1x, p1y, q1x, q1y, p2x, p2y, q2x, q2y) {
+  const d1x = q1x - p1x;
+  const d1y = q1y - p1y;
+  const d2x = q2x - p2x;
+  const d2y = q2y - p2y;
+  const denominator = cross(d1x, d1y, d2x, d2y);
+  if (denominator !== 0) {
+    const s = cross(p2x - p1x, p2y - p1y, d2x, d2y) / denominator;
+    const t = cross(p2x - p1x, p2y - p1y, d1x, d1y) / denominator;
+    if (s >= 0 && s <= 1 && t >= 0 && t <= 1) {
+      return 0;
+    }
+  }
+  const pointToSegment = (px, py, ax, ay, bx, by) => {
+    const c = closestOnSegment(ax, ay, bx, by, px, py);
+    return Math.hypot(px - c.x, py - c.y);
+  };
+  return Math.min(
+    pointToSegment(p1x, p1y, p2x, p2y, q2x, q2y),
+    pointToSegment(q1x, q1y, p2x, p2y, q2x, q2y),
+    pointToSegment(p2x, p2y, p1x, p1y, q1x, q1y),
+    pointToSegment(q2x, q2y, p1x, p1y, q1x, q1y)
+  );
+}
+
+export function insideArena(arena, x, y, margin = 0) {
+  const dx = x - arena.center.x;
+  const dy = y - arena.center.y;
+  if (arena.shape === "rectangle") {
+    return Math.abs(dx) <= arena.halfWidth - margin && Math.abs(dy) <= arena.halfHeight - margin;
+  }
+  return Math.hypot(dx, dy) <= arena.radius - margin;
+}
+
+// Pull a point back inside the arena outline, margin short of the edge.
+// Mutates and returns point.
+export function clampToArena(arena, point, margin = 0) {
+  const dx = point.x - arena.center.x;
+  const dy = point.y - arena.center.y;
+  if (arena.shape === "rectangle") {
+    const maxX = arena.halfWidth - margin;
+    const maxY = arena.halfHeight - margin;
+    point.x = arena.center.x + Math.min(maxX, Math.max(-maxX, dx));
+    point.y = arena.center.y + Math.min(maxY, Math.max(-maxY, dy));
+    return point;
+  }
+  const dist = Math.hypot(dx, dy);
+  const maxDist = arena.radius - margin;
+  if (dist > maxDist) {
+    const scale = maxDist / dist;
+    point.x = arena.center.x + dx * scale;
+    point.y = arena.center.y + dy * scale;
+  }
+  return point;
+}
+
+// Whether a body of the given radius fits at x, y without touching an obstacle
+export function isClearOfObstacles(arena, x, y, radius = 0) {
+  for (const obstacle of arena.obstacles) {
+    const c = closestOnSegment(obstacle.ax, obstacle.ay, obstacle.bx, obstacle.by, x, y);
+    if (Math.hypot(x - c.x, y - c.y) < obstacle.r + radius) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Somewhere a unit can stand: inside the outline and clear of obstacles
+export function isOpenGround(arena, x, y, margin = 0) {
+  return insideArena(arena, x, y, margin) && isClearOfObstacles(arena, x, y, margin);
+}
+
+// Push a body of the given radius out of any obstacle it overlaps. Mutates
+// and returns body.
+export function pushOutOfObstacles(arena, body, radius) {
+  for (const obstacle of arena.obstacles) {
+    const c = closestOnSegment(obstacle.ax, obstacle.ay, obstacle.bx, obstacle.by, body.x, body.y);
+    const dx = body.x - c.x;
+    const dy = body.y - c.y;
+    const dist = Math.hypot(dx, dy);
+    const minDist = obstacle.r + radius;
+    if (dist >= minDist) {
+      continue;
+    }
+    if (dist > 0) {
+      body.x = c.x + (dx / dist) * minDist;
+      body.y = c.y + (dy / dist) * minDist;
+    } else {
+      // Dead center on the spine: step out sideways from the wall
+      const length = Math.hypot(obstacle.bx - obstacle.ax, obstacle.by - obstacle.ay) || 1;
+      body.x = c.x - ((obstacle.by - obstacle.ay) / length) * minDist;
+      body.y = c.y + ((obstacle.bx - obstacle.ax) / length) * minDist;
+    }
+  }
+  return body;
+}
+
+// True when nothing solid lies between the two points. padding is the radius
+// of whatever travels along the line (a projectile, say).
+export function hasLineOfSight(arena, x1, y1, x2, y2, padding = 0) {
+  for (const obstacle of arena.obstacles) {
+    const distance = segmentDistance(x1, y1, x2, y2, obstacle.ax, obstacle.ay, obstacle.bx, obstacle.by);
+    if (distance < obstacle.r + padding) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Speed multiplier at a point: the slowest terrain patch underfoot, or 1
+export function terrainFactor(arena, x, y) {
+  let factor = 1;
+  for (const patch of arena.terrain) {
+    if (Math.hypot(x - patch.x, y - patch.y) <= patch.r) {
+      factor = Math.min(factor, patch.slow);
+    }
+  }
+  return factor;
+}
+
+// Obstacle avoidance. Looks lookahead pixels along the intended direction;
+// if an obstacle is in the way, returns a new unit direction that curves
+// around the nearest one (towards the closer end of a wall), otherwise null.
+export function steerAround(arena, x, y, dirX, dirY, radius, lookahead) {
+  let nearest = null;
+  let nearestGap = Infinity;
+  const aheadX = x + dirX * lookahead;
+  const aheadY = y + dirY * lookahead;
+  for (const obstacle of arena.obstacles) {
+    const reach = obstacle.r + radius + 2;
+    const distance = segmentDistance(x, y, aheadX, aheadY, obstacle.ax, obstacle.ay, obstacle.bx, obstacle.by);
+    if (distance >= reach) {
+      continue;
+    }
+    const c = closestOnSegment(obstacle.ax, obstacle.ay, obstacle.bx, obstacle.by, x, y);
+    const gap = Math.hypot(x - c.x, y - c.y) - reach;
+    if (gap < nearestGap) {
+      nearestGap = gap;
+      nearest = { obstacle, c };
+    }
+  }
+  if (!nearest) {
+    return null;
+  }
+  const { obstacle, c } = nearest;
+  const away = Math.hypot(x - c.x, y - c.y) || 1;
+  const normalX = (x - c.x) / away;
+  const normalY = (y - c.y) / away;
+  // Already heading away from it: nothing to do
+  if (dirX * normalX + dirY * normalY >= 0) {
+    return null;
+  }
+  let tangentX = -normalY;
+  let tangentY = normalX;
+  let along = dirX * tangentX + dirY * tangentY;
+  if (obstacle.kind === "wall" && Math.abs(along) < 0.25) {
+    // Head-on into a wall: go round whichever end is closer
+    const toA = Math.hypot(obstacle.ax - c.x, obstacle.ay - c.y);
+    const toB = Math.hypot(obstacle.bx - c.x, obstacle.by - c.y);
+    const endX = toA < toB ? obstacle.ax : obstacle.bx;
+    const endY = toA < toB ? obstacle.ay : obstacle.by;
+    along = (endX - c.x) * tangentX + (endY - c.y) * tangentY;
+  }
+  if (along < 0) {
+    tangentX = -tangentX;
+    tangentY = -tangentY;
+  }
+  // The closer the obstacle, the more the tangent takes over
+  const weight = Math.min(1, Math.max(0, 1 - nearestGap / lookahead));
+  const steerX = dirX * (1 - weight) + tangentX * weight;
+  const steerY = dirY * (1 - weight) + tangentY * weight;
+  const length = Math.hypot(steerX, steerY) || 1;
+  return { x: steerX / length, y: steerY / length };
+}
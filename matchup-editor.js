@@ -0,0 +1,127 @@
+// Grid editor for the damage matchup table: one row per attacking type, one
+// column per defending type, with presets to start from. The table is kept in
+// localStorage so it survives a reload, and travels with shared configs.
+
+import { MATCHUP_LIMITS, MATCHUP_PRESETS, matchupMultiplier, normalizeMatchups, pruneMatchups } from "./matchups.js";
+import { TYPE_CONFIG, onUnitTypesChange } from "./unit-types.js";
+
+const STORAGE_KEY = "ratio-arena.matchups";
+
+let matchups = {};
+let editor = null;
+
+function loadSavedMatchups() {
+  try {
+    return normalizeMatchups(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (error) {
+    console.warn("Ignoring saved damage matchups:", error);
+    return {};
+  }
+}
+
+function saveMatchups() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(matchups));
+  } catch (error) {
+    console.warn("Could not save damage matchups:", error);
+  }
+}
+
+// The table battles should use, as Simulation's matchups option
+export function getMatchups() {
+  return matchups;
+}
+
+// Replace the whole table, e.g. from a config. Throws like normalizeMatchups.
+export function setMatchups(table) {
+  matchups = normalizeMatchups(table);
+  saveMatchups();
+  editor?.render();
+}
+
+// onChange runs after every edit so the setup can be saved into the URL
+export function initMatchupEditor({ onChange }) {
+  const grid = document.getElementById("matchup-grid");
+  const presetSelect = document.getElementById("matchup-preset");
+  const applyBtn = document.getElementById("matchup-apply-btn");
+  const status = document.getElementById("matchup-status");
+
+  function cell(attacker, defender) {
+    const td = document.createElement("td");
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = MATCHUP_LIMITS.min;
+    input.max = MATCHUP_LIMITS.max;
+    input.step = 0.05;
+    input.value = matchupMultiplier(matchups, attacker, defender);
+    input.setAttribute("aria-label", `${TYPE_CONFIG[attacker].name} against ${TYPE_CONFIG[defender].name}`);
+    input.addEventListener("change", () => {
+      const value = Number(input.value);
+      const multiplier = Number.isFinite(value) && input.value !== "" ? value : 1;
+      const table = structuredClone(matchups);
+      (table[attacker] ??= {})[defender] = multiplier;
+      matchups = normalizeMatchups(table);
+      saveMatchups();
+      render();
+      status.textContent = `${TYPE_CONFIG[attacker].name} now deal ${matchupMultiplier(matchups, attacker, defender)}× damage to ${TYPE_CONFIG[defender].name}.`;
+      onChange();
+    });
+    td.append(input);
+    td.classList.toggle("edge", input.valueAsNumber > 1);
+    td.classList.toggle("weak", input.valueAsNumber < 1);
+    return td;
+  }
+
+  function render() {
+    const types = Object.keys(TYPE_CONFIG);
+    const corner = document.createElement("th");
+    corner.textContent = "Attacker ↓ / Target →";
+    const head = document.createElement("tr");
+    head.append(
+      corner,
+      ...types.map((type) => {
+        const th = document.createElement("th");
+        th.textContent = TYPE_CONFIG[type].name;
+        th.style.color = TYPE_CONFIG[type].color;
+        return th;
+      })
+    );
+    const rows = types.map((attacker) => {
+      const row = document.createElement("tr");
+      const th = document.createElement("th");
+      th.scope = "row";
+      th.textContent = TYPE_CONFIG[attacker].name;
+      th.style.color = TYPE_CONFIG[attacker].color;
+      row.append(th, ...types.map((defender) => cell(attacker, defender)));
+      return row;
+    });
+    grid.tHead.replaceChildren(head);
+    grid.tBodies[0].replaceChildren(...rows);
+  }
+
+  function applyPreset() {
+    const preset = MATCHUP_PRESETS[presetSelect.value];
+    matchups = normalizeMatchups(preset.build(TYPE_CONFIG));
+    saveMatchups();
+    render();
+    status.textContent = `Applied the ${preset.name} matchups.`;
+    onChange();
+  }
+
+  editor = { render };
+  presetSelect.append(...Object.entries(MATCHUP_PRESETS).map(([id, { name }]) => new Option(name, id)));
+  matchups = loadSavedMatchups();
+  applyBtn.addEventListener("click", applyPreset);
+  // Deleted types take their rows and columns with them
+  onUnitTypesChange(() => {
+    const pruned = pruneMatchups(matchups, TYPE_CONFIG);
+    const changed = JSON.stringify(pruned) !== JSON.stringify(matchups);
+    matchups = pruned;
+    render();
+    if (changed) {
+      saveMatchups();
+      onChange();
+    }
+  });
+  render();
+}
@@ -0,0 +1,87 @@
+// Type-vs-type damage multipliers. A matchup table maps an attacking type id
+// to a defending type id to the factor its blows and shots are scaled by;
+// pairs the table doesn't list deal normal damage. Presets build a table for
+// whatever types exist, so custom types join in by their archetype.
+
+export const MATCHUP_LIMITS = { min: 0, max: 5 };
+
+// Who each archetype has the edge on in the classic preset: fast skirmishers
+// run archers down, archers pick slow tanks apart and tanks shrug skirmishers
+// off. Healers stay neutral.
+const ARCHETYPE_PREY = { skirmisher: "ranged", ranged: "tank", tank: "skirmisher" };
+const ADVANTAGE = 1.5;
+const DISADVANTAGE = 0.75;
+
+export const MATCHUP_PRESETS = {
+  neutral: {
+    name: "Neutral",
+    build() {
+      return {};
+    },
+  },
+  "classic-rps": {
+    name: "Classic RPS",
+    build(types) {
+      const table = {};
+      for (const [attacker, { archetype }] of Object.entries(types)) {
+        for (const [defender, config] of Object.entries(types)) {
+          if (ARCHETYPE_PREY[archetype] === config.archetype) {
+            (table[attacker] ??= {})[defender] = ADVANTAGE;
+          } else if (ARCHETYPE_PREY[config.archetype] === archetype) {
+            (table[attacker] ??= {})[defender] = DISADVANTAGE;
+          }
+        }
+      }
+      return table;
+    },
+  },
+};
+
+export function matchupMultiplier(matchups, attacker, defender) {
+  return matchups[attacker]?.[defender] ?? 1;
+}
+
+// The table without the pairs that involve types missing from the registry,
+// e.g. after a custom type was deleted
+export function pruneMatchups(matchups, types) {
+  const table = {};
+  for (const [attacker, row] of Object.entries(matchups)) {
+    if (!types[attacker]) continue;
+    for (const [defender, multiplier] of Object.entries(row)) {
+      if (types[defender]) {
+        (table[attacker] ??= {})[defender] = multiplier;
+      }
+    }
+  }
+  return table;
+}
+
+// Check a table from a file, link or storage, clamp its multipliers and drop
+// the pairs that deal normal damage anyway. Throws with a message fit to show
+// the user.
+export function normalizeMatchups(raw) {
+  if (raw === undefined || raw === null) {
+    return {};
+  }
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Damage matchups must map attacking unit types to defending ones.");
+  }
+  const table = {};
+  for (const [attacker, row] of Object.entries(raw)) {
+    if (typeof row !== "object" || row === null || Array.isArray(row)) {
+      throw new Error(`Damage matchups for "${attacker}" must map defending unit types to multipliers.`);
+    }
+    for (const [defender, value] of Object.entries(row)) {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new Error(
+          `The "${attacker}" vs "${defender}" damage multiplier must be a number from ${MATCHUP_LIMITS.min} to ${MATCHUP_LIMITS.max}.`
+        );
+      }
+      const multiplier = Math.min(MATCHUP_LIMITS.max, Math.max(MATCHUP_LIMITS.min, value));
+      if (multiplier !== 1) {
+        (table[attacker] ??= {})[defender] = multiplier;
+      }
+    }
+  }
+  return table;
+}
@@ -0,0 +1,177 @@
+// Counter optimizer panel: the user sets an enemy composition and a target win
+// rate, optimizer-worker.js evolves armies against it, and the cheapest one
+// that makes the target can be loaded into the setup form as a team battle.
+
+import { armyCost } from "./budget.js";
+import { RATIO_LIMITS } from "./simulation.js";
+import { TYPE_CONFIG, onUnitTypesChange } from "./unit-types.js";
+
+const DEFAULT_ENEMY = { circle: 4, square: 3, triangle: 3 };
+
+function describeCounts(counts) {
+  return (
+    Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => `${count} ${TYPE_CONFIG[type]?.name ?? type}`)
+      .join(" · ") || "Nobody"
+  );
+}
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function describeCandidate(candidate) {
+  const { counts, cost, rate, low, high } = candidate;
+  return `${describeCounts(counts)}: ${cost} pts, wins ${formatPercent(rate)} (${formatPercent(low)}–${formatPercent(high)})`;
+}
+
+function readNumber(input, min, max) {
+  const value = Math.round(Math.min(max, Math.max(min, Number(input.value) || min)));
+  input.value = value;
+  return value;
+}
+
+// getBattlefield returns the { layout, map, matchups } the search fights with;
+// getBudget the points per side the counter may spend (0 for no limit);
+// onLoad({ counter, enemy }) puts a matchup into the setup form.
+export function initOptimizerPanel({ getSeed, getBattlefield, getBudget = () => 0, onLoad }) {
+  const enemyGrid = document.getElementById("optimizer-enemy");
+  const targetInput = document.getElementById("optimizer-target");
+  const runsInput = document.getElementById("optimizer-runs");
+  const populationInput = document.getElementById("optimizer-population");
+  const generationsInput = document.getElementById("optimizer-generations");
+  const maxInput = document.getElementById("optimizer-max");
+  const runBtn = document.getElementById("optimizer-btn");
+  const loadBtn = document.getElementById("optimizer-load-btn");
+  const progress = document.getElementById("optimizer-progress");
+  const status = document.getElementById("optimizer-status");
+  const ranking = document.getElementById("optimizer-ranking");
+
+  let worker = null;
+  let enemy = { ...DEFAULT_ENEMY };
+  // The matchup the last search settled on, for the load button
+  let winner = null;
+
+  // One count field per unit type, keeping what was typed for types that
+  // still exist
+  function renderEnemyFields() {
+    enemyGrid.replaceChildren(
+      ...Object.entries(TYPE_CONFIG).map(([type, config]) => {
+        const label = document.createElement("label");
+        const input = document.createElement("input");
+        input.type = "number";
+        input.name = type;
+        input.min = RATIO_LIMITS.min;
+        input.max = RATIO_LIMITS.max;
+        input.value = enemy[type] ?? 0;
+        input.addEventListener("change", () => {
+          enemy[type] = readNumber(input, RATIO_LIMITS.min, RATIO_LIMITS.max);
+        });
+        label.append(`Enemy ${config.name} (${config.cost} pts)`, input);
+        return label;
+      })
+    );
+  }
+
+  function readEnemy() {
+    enemy = {};
+    for (const input of enemyGrid.querySelectorAll("input")) {
+      enemy[input.name] = readNumber(input, RATIO_LIMITS.min, RATIO_LIMITS.max);
+    }
+    return { ...enemy };
+  }
+
+  function showRanking(candidates) {
+    ranking.replaceChildren(
+      ...candidates.map((candidate) => {
+        const item = document.createElement("li");
+        item.textContent = describeCandidate(candidate);
+        return item;
+      })
+    );
+    ranking.hidden = candidates.length === 0;
+  }
+
+  function stopWorker() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    runBtn.textContent = "Find Counter";
+    progress.hidden = true;
+  }
+
+  function startSearch() {
+    if (worker) {
+      stopWorker();
+      status.textContent = "Search cancelled.";
+      return;
+    }
+
+    const target = readNumber(targetInput, 1, 100) / 100;
+    const options = {
+      enemy: readEnemy(),
+      targetRate: target,
+      runs: readNumber(runsInput, 1, 200),
+      population: readNumber(populationInput, 4, 60),
+      generations: readNumber(generationsInput, 1, 100),
+      maxPerType: readNumber(maxInput, 1, RATIO_LIMITS.max),
+      budget: getBudget(),
+      seed: getSeed(),
+      types: TYPE_CONFIG,
+      ...getBattlefield(),
+    };
+    const enemyCost = armyCost(options.enemy);
+    winner = null;
+    loadBtn.disabled = true;
+    showRanking([]);
+
+    worker = new Worker(new URL("./optimizer-worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.kind === "error") {
+        status.textContent = data.message;
+        stopWorker();
+        return;
+      }
+      if (data.kind === "progress") {
+        progress.value = (data.generation - 1) / data.generations;
+        status.textContent =
+          `Generation ${data.generation}/${data.generations} · ${data.candidates} armies, ` +
+          `${data.battles} battles · seed ${options.seed}`;
+        showRanking(data.best ? [data.best] : []);
+        return;
+      }
+      const { best } = data;
+      showRanking(data.ranking);
+      const within = options.budget ? ` within the ${options.budget} pt budget` : "";
+      const verdict = best.rate >= target
+        ? `The cheapest army found${within} costs ${best.cost} pts against the enemy's ${enemyCost}.`
+        : `No army${within} reached ${formatPercent(target)}; the strongest one found is listed first.`;
+      status.textContent = `${verdict} ${data.candidates} armies, ${data.battles} battles · seed ${options.seed}`;
+      winner = { counter: best.counts, enemy: options.enemy };
+      loadBtn.disabled = false;
+      stopWorker();
+    };
+    worker.onerror = (event) => {
+      console.warn("Optimizer worker failed:", event);
+      status.textContent = "Search failed. See the console for details.";
+      stopWorker();
+    };
+    worker.postMessage(options);
+
+    progress.value = 0;
+    progress.hidden = false;
+    status.textContent = `Scoring the first generation… · seed ${options.seed}`;
+    runBtn.textContent = "Cancel";
+  }
+
+  runBtn.addEventListener("click", startSearch);
+  loadBtn.addEventListener("click", () => {
+    if (winner) {
+      onLoad(winner);
+    }
+  });
+  onUnitTypesChange(renderEnemyFields);
+  renderEnemyFields();
+}
@@ -0,0 +1,16 @@
+// Runs the counter-army search off the main thread, reporting the leading
+// army as it improves so the panel can show progress live.
+
+import { optimizeArmy } from "./optimizer.js";
+
+self.onmessage = ({ data }) => {
+  try {
+    const result = optimizeArmy({
+      ...data,
+      onProgress: (progress) => self.postMessage({ kind: "progress", ...progress }),
+    });
+    self.postMessage({ kind: "done", ...result, ranking: result.ranking.slice(0, 5) });
+  } catch (error) {
+    self.postMessage({ kind: "error", message: error.message });
+  }
+};
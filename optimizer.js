@@ -0,0 +1,232 @@
+// Counter-army search. Given an enemy composition, evolve count vectors over
+// the unit types towards the cheapest army that still beats it at least as
+// often as asked, never spending more than the budget when there is one.
+// Every candidate is scored by headless two-team battles, and all candidates
+// fight the same battle seeds so that differences between them come from the
+// army rather than the dice.
+
+import { batchRunSeed, summarizeBatch } from "./batch.js";
+import { armyCost } from "./budget.js";
+import { RATIO_LIMITS, runBattle } from "./simulation.js";
+import { createRng } from "./rng.js";
+import { TYPE_CONFIG } from "./unit-types.js";
+
+export const COUNTER_TEAM = { id: "counter", name: "Counter Army", color: "#4c8dff" };
+export const ENEMY_TEAM = { id: "enemy", name: "Enemy", color: "#ff5c5c" };
+
+// Survivors carried over unchanged into the next generation
+const ELITES = 2;
+// Parents are the best of this many candidates drawn at random
+const TOURNAMENT_SIZE = 3;
+
+export function armySize(counts) {
+  return Object.values(counts).reduce((sum, count) => sum + count, 0);
+}
+
+// Win rate of one army against the enemy over a fixed set of battle seeds, on
+// the given map, spawn layout and damage matchups. rate is the share of
+// battles the army won outright; draws and timeouts count against it.
+export function evaluateArmy(counts, { enemy, runs, seed, types = TYPE_CONFIG, layout, map, matchups, maxTime }) {
+  const cost = armyCost(counts, types);
+  if (armySize(counts) === 0) {
+    return { counts, cost, runs: 0, rate: 0, low: 0, high: 0 };
+  }
+  const teams = [
+    { ...COUNTER_TEAM, counts },
+    { ...ENEMY_TEAM, counts: enemy },
+  ];
+  const results = [];
+  for (let i = 0; i < runs; i += 1) {
+    results.push(runBattle(undefined, { seed: batchRunSeed(seed, i), types, teams, layout, map, matchups, maxTime }));
+  }
+  const { rate, low, high } = summarizeBatch(results, [COUNTER_TEAM.id, ENEMY_TEAM.id]).outcomes[COUNTER_TEAM.id];
+  return { counts, cost, runs, rate, low, high };
+}
+
+// Candidates that reach the target rank ahead of those that don't; among
+// them cheaper is better, and below the target a higher win rate is.
+export function compareCandidates(a, b, targetRate) {
+  const aMeets = a.rate >= targetRate;
+  const bMeets = b.rate >= targetRate;
+  if (aMeets !== bMeets) {
+    return aMeets ? -1 : 1;
+  }
+  return aMeets ? a.cost - b.cost || b.rate - a.rate : b.rate - a.rate || a.cost - b.cost;
+}
+
+function countsFrom(typeIds, genome) {
+  return Object.fromEntries(typeIds.map((type, i) => [type, genome[i]]));
+}
+
+function randomInt(rng, max) {
+  return Math.floor(rng() * (max + 1));
+}
+
+// Starting points: the enemy's own mix, an all-in army of each type worth
+// about as much as the enemy, and random armies of a similar size
+function initialPopulation({ typeIds, enemy, types, size, maxPerType, rng }) {
+  const clamp = (value) => Math.min(maxPerType, Math.max(0, Math.round(value)));
+  const enemyCost = armyCost(enemy, types);
+  const enemySize = Math.max(1, armySize(enemy));
+  const population = [typeIds.map((type) => clamp(enemy[type] ?? 0))];
+  for (const type of typeIds) {
+    population.push(typeIds.map((other) => (other === type ? clamp(Math.max(1, enemyCost / types[type].cost)) : 0)));
+  }
+  while (population.length < size) {
+    const genome = typeIds.map(() => 0);
+    const units = 1 + randomInt(rng, Math.ceil(enemySize * 1.5));
+    for (let i = 0; i < units; i += 1) {
+      const slot = randomInt(rng, typeIds.length - 1);
+      genome[slot] = Math.min(maxPerType, genome[slot] + 1);
+    }
+    population.push(genome);
+  }
+  return population.slice(0, size);
+}
+
+function crossover(a, b, rng) {
+  return a.map((gene, i) => (rng() < 0.5 ? gene : b[i]));
+}
+
+// Drop random units from a genome until it fits the budget (0 for none)
+function fitBudget(genome, { costs, budget, rng }) {
+  if (!budget) {
+    return genome;
+  }
+  const fitted = [...genome];
+  let cost = fitted.reduce((sum, count, i) => sum + count * costs[i], 0);
+  while (cost > budget) {
+    const slots = fitted.flatMap((count, i) => (count > 0 ? [i] : []));
+    const slot = slots[randomInt(rng, slots.length - 1)];
+    fitted[slot] -= 1;
+    cost -= costs[slot];
+  }
+  return fitted;
+}
+
+// Nudge one or two counts by a unit or two. Half the nudges on an army that
+// already wins are cuts, so the search keeps pushing the price down.
+function mutate(genome, { meets, maxPerType, rng }) {
+  const child = [...genome];
+  const changes = rng() < 0.5 ? 1 : 2;
+  for (let n = 0; n < changes; n += 1) {
+    const slot = randomInt(rng, child.length - 1);
+    const step = 1 + randomInt(rng, 1);
+    const cut = meets ? rng() < 0.5 : rng() < 0.3;
+    child[slot] = Math.min(maxPerType, Math.max(0, child[slot] + (cut ? -step : step)));
+  }
+  if (child.every((count) => count === 0)) {
+    child[randomInt(rng, child.length - 1)] = 1;
+  }
+  return child;
+}
+
+// Run the search. enemy is a count per type; targetRate is a share (0.7 for
+// 70%); budget caps what an army may cost (0 for no cap); layout, map and
+// matchups set the battlefield as in runBattle.
+// onProgress({ generation, generations, candidates, battles, best }) is called
+// after every newly scored candidate and at the end of each generation, where
+// best is the leading candidate so far. Returns the final ranking, best first,
+// along with the totals.
+export function optimizeArmy({
+  enemy,
+  targetRate = 0.7,
+  runs = 12,
+  population = 16,
+  generations = 10,
+  maxPerType = 20,
+  budget = 0,
+  seed,
+  types = TYPE_CONFIG,
+  layout,
+  map,
+  matchups,
+  maxTime,
+  onProgress,
+} = {}) {
+  const typeIds = Object.keys(types);
+  if (typeIds.length === 0) {
+    throw new Error("There are no unit types to build an army from.");
+  }
+  if (armySize(enemy) === 0) {
+    throw new Error("Give the enemy at least one unit to beat.");
+  }
+  maxPerType = Math.min(RATIO_LIMITS.max, Math.max(1, maxPerType));
+  const costs = typeIds.map((type) => types[type].cost);
+  if (budget && budget < Math.min(...costs)) {
+    throw new Error(`A ${budget} pt budget can't buy a single unit.`);
+  }
+  const rng = createRng(`${seed}:optimizer`);
+  const scored = new Map();
+  let battles = 0;
+  let best = null;
+  let generation = 1;
+
+  function report() {
+    onProgress?.({ generation, generations, candidates: scored.size, battles, best });
+  }
+
+  function score(genome) {
+    const key = genome.join(",");
+    if (!scored.has(key)) {
+      const candidate = evaluateArmy(countsFrom(typeIds, genome), {
+        enemy,
+        runs,
+        seed,
+        types,
+        layout,
+        map,
+        matchups,
+        maxTime,
+      });
+      battles += candidate.runs;
+      scored.set(key, candidate);
+      if (!best || compareCandidates(candidate, best, targetRate) < 0) {
+        best = candidate;
+      }
+      report();
+    }
+    return { genome, candidate: scored.get(key) };
+  }
+
+  function tournament(ranked) {
+    let pick = ranked[randomInt(rng, ranked.length - 1)];
+    for (let i = 1; i < TOURNAMENT_SIZE; i += 1) {
+      const other = ranked[randomInt(rng, ranked.length - 1)];
+      if (compareCandidates(other.candidate, pick.candidate, targetRate) < 0) {
+        pick = other;
+      }
+    }
+    return pick;
+  }
+
+  const fit = (genome) => {
+    const fitted = fitBudget(genome, { costs, budget, rng });
+    if (fitted.every((count) => count === 0)) {
+      // Whatever the cuts left, the cheapest type always fits
+      fitted[costs.indexOf(Math.min(...costs))] = 1;
+    }
+    return fitted;
+  };
+
+  let ranked = initialPopulation({ typeIds, enemy, types, size: population, maxPerType, rng })
+    .map(fit)
+    .map(score);
+  for (;;) {
+    ranked.sort((a, b) => compareCandidates(a.candidate, b.candidate, targetRate));
+    report();
+    if (generation >= generations) break;
+
+    generation += 1;
+    const next = ranked.slice(0, ELITES);
+    while (next.length < population) {
+      const parent = tournament(ranked);
+      const genome = crossover(parent.genome, tournament(ranked).genome, rng);
+      next.push(score(fit(mutate(genome, { meets: parent.candidate.rate >= targetRate, maxPerType, rng }))));
+    }
+    ranked = next;
+  }
+
+  const ranking = [...scored.values()].sort((a, b) => compareCandidates(a, b, targetRate));
+  return { best: ranking[0], ranking, candidates: scored.size, battles };
+}
@@ -0,0 +1,144 @@
+// Hand placement on the arena canvas for the "placed" layout: click or drag to
+// paint units of the chosen type (and team), shift-click or right-click to
+// erase. Painted units keep the same spacing the engine enforces at spawn.
+
+import { isOpenGround } from "./maps.js";
+import { SPAWN_SPACING } from "./simulation.js";
+import { drawWarrior, worldPoint } from "./renderer.js";
+import { TYPE_CONFIG, onUnitTypesChange } from "./unit-types.js";
+
+const ERASE_RADIUS = 18;
+
+// { type, team, x, y }; team is the team id it was painted for, or null when
+// painted in a free-for-all
+let placed = [];
+let toolbar = null;
+
+// Units as the engine takes them. In a free-for-all every unit fights for its
+// type; in a team battle units painted for a team that no longer exists drop out.
+export function getPlacedUnits(teamMode, teams) {
+  const known = new Set(teams.map((team) => team.id));
+  return placed
+    .filter((unit) => TYPE_CONFIG[unit.type] && (!teamMode || known.has(unit.team)))
+    .map(({ type, team, x, y }) => ({ type, team: teamMode ? team : type, x, y }));
+}
+
+// Show or hide the paint toolbar and bring its pickers up to date, e.g. after
+// the layout, battle mode or teams changed.
+export function updatePlacementBar() {
+  toolbar?.update();
+}
+
+// The painted units exactly as painted, for saving into a config
+export function getPaintedUnits() {
+  return placed.map((unit) => ({ ...unit }));
+}
+
+export function setPlacedUnits(list) {
+  placed = list.map(({ type, team = null, x, y }) => ({ type, team, x, y }));
+}
+
+// Preview of the painted armies, drawn while the arena is in setup
+export function drawPlacement(ctx, teamMode, teams) {
+  const colors = Object.fromEntries(teams.map((team) => [team.id, team.color]));
+  for (const unit of getPlacedUnits(teamMode, teams)) {
+    const config = TYPE_CONFIG[unit.type];
+    drawWarrior(ctx, {
+      x: unit.x,
+      y: unit.y,
+      prevX: unit.x,
+      prevY: unit.y,
+      heading: 0,
+      hp: config.hp,
+      config,
+      teamColor: teamMode ? colors[unit.team] : null,
+    });
+  }
+}
+
+// isEnabled says whether painting is allowed right now (placed layout, no
+// battle on the canvas). getArena and getTeams return the arena for the chosen
+// map and the team list from the form.
+export function initPlacement({ canvas, getArena, isEnabled, isTeamMode, getTeams, onChange }) {
+  const bar = document.getElementById("placement-bar");
+  const typeSelect = document.getElementById("place-type");
+  const teamLabel = document.getElementById("place-team-label");
+  const teamSelect = document.getElementById("place-team");
+  const countLabel = document.getElementById("place-count");
+  const clearBtn = document.getElementById("place-clear-btn");
+  let painting = null; // "add" or "erase" while a drag is in progress
+
+  function refreshPickers() {
+    const type = typeSelect.value;
+    typeSelect.replaceChildren(
+      ...Object.entries(TYPE_CONFIG).map(([id, config]) => new Option(config.name, id, false, id === type))
+    );
+    const team = teamSelect.value;
+    teamSelect.replaceChildren(
+      ...getTeams().map(({ id, name }) => new Option(name, id, false, id === team))
+    );
+    teamLabel.hidden = !isTeamMode();
+    countLabel.textContent = `${getPlacedUnits(isTeamMode(), getTeams()).length} placed`;
+  }
+
+  function paintAt({ x, y }) {
+    if (painting === "erase") {
+      const before = placed.length;
+      placed = placed.filter((unit) => Math.hypot(unit.x - x, unit.y - y) > ERASE_RADIUS);
+      return placed.length !== before;
+    }
+    const type = typeSelect.value;
+    if (!TYPE_CONFIG[type]) {
+      return false;
+    }
+    if (!isOpenGround(getArena(), x, y, TYPE_CONFIG[type].size + 20)) {
+      return false;
+    }
+    if (placed.some((unit) => Math.hypot(unit.x - x, unit.y - y) < SPAWN_SPACING)) {
+      return false;
+    }
+    placed.push({ type, team: isTeamMode() ? teamSelect.value : null, x, y });
+    return true;
+  }
+
+  function handlePaint(event) {
+    if (paintAt(worldPoint(canvas, event))) {
+      refreshPickers();
+      onChange();
+    }
+  }
+
+  canvas.addEventListener("mousedown", (event) => {
+    if (!isEnabled()) return;
+    event.preventDefault();
+    painting = event.button === 2 || event.shiftKey ? "erase" : "add";
+    handlePaint(event);
+  });
+  canvas.addEventListener("mousemove", (event) => {
+    if (painting && isEnabled()) {
+      handlePaint(event);
+    }
+  });
+  window.addEventListener("mouseup", () => {
+    painting = null;
+  });
+  canvas.addEventListener("contextmenu", (event) => {
+    if (isEnabled()) {
+      event.preventDefault();
+    }
+  });
+  clearBtn.addEventListener("click", () => {
+    placed = [];
+    refreshPickers();
+    onChange();
+  });
+  onUnitTypesChange(refreshPickers);
+
+  toolbar = {
+    update() {
+      bar.hidden = !isEnabled();
+      refreshPickers();
+    },
+  };
+  toolbar.update();
+}
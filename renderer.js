@@ -0,0 +1,463 @@
+import { cosmeticRandom } from "./rng.js";
+
+let hitEffects = [];
+
+// Camera everything in world coordinates is drawn through; null draws the
+// arena one to one
+let view = null;
+
+// Corner minimap, in canvas pixels
+const MINIMAP_SIZE = 150;
+const MINIMAP_MARGIN = 12;
+
+// Mouse position in canvas pixels, whatever size the canvas is shown at
+export function canvasPoint(canvas, event) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: ((event.clientX - rect.left) * canvas.width) / rect.width,
+    y: ((event.clientY - rect.top) * canvas.height) / rect.height,
+  };
+}
+
+export function setView(camera) {
+  view = camera;
+}
+
+// Switch ctx to world coordinates. Every draw function that works in arena
+// space calls this itself, so callers never stack transforms by accident.
+export function applyView(ctx) {
+  if (view) {
+    view.apply(ctx);
+  } else {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
+}
+
+// Mouse position in world coordinates, through the current view
+export function worldPoint(canvas, event) {
+  const point = canvasPoint(canvas, event);
+  return view ? view.toWorld(point) : point;
+}
+
+// Floor, terrain and obstacles of the arena's map. The canvas is wiped in
+// screen space so a zoomed camera leaves no stale pixels around the edges.
+export function clearArena(ctx, arena) {
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, arena.width, arena.height);
+  ctx.restore();
+  ctx.save();
+  applyView(ctx);
+  ctx.translate(arena.center.x, arena.center.y);
+  const gradient = ctx.createRadialGradient(0, 0, arena.radius * 0.05, 0, 0, arena.radius);
+  gradient.addColorStop(0, "rgba(19,27,48,0.8)");
+  gradient.addColorStop(1, "rgba(4,5,10,0.9)");
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  if (arena.shape === "rectangle") {
+    ctx.rect(-arena.halfWidth, -arena.halfHeight, arena.halfWidth * 2, arena.halfHeight * 2);
+  } else {
+    ctx.arc(0, 0, arena.radius, 0, Math.PI * 2);
+  }
+  ctx.fill();
+  ctx.setLineDash([10, 12]);
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = "rgba(255,255,255,0.12)";
+  ctx.stroke();
+  ctx.restore();
+  drawMapFeatures(ctx, arena);
+}
+
+function drawMapFeatures(ctx, arena) {
+  ctx.save();
+  applyView(ctx);
+  ctx.fillStyle = "rgba(122,92,52,0.35)";
+  for (const patch of arena.terrain) {
+    ctx.beginPath();
+    ctx.arc(patch.x, patch.y, patch.r, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.lineCap = "round";
+  ctx.fillStyle = "#3a3f55";
+  ctx.strokeStyle = "#3a3f55";
+  for (const obstacle of arena.obstacles) {
+    if (obstacle.kind === "pillar") {
+      ctx.beginPath();
+      ctx.arc(obstacle.ax, obstacle.ay, obstacle.r, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      ctx.lineWidth = obstacle.r * 2;
+      ctx.beginPath();
+      ctx.moveTo(obstacle.ax, obstacle.ay);
+      ctx.lineTo(obstacle.bx, obstacle.by);
+      ctx.stroke();
+    }
+  }
+  ctx.restore();
+}
+
+export function spawnHitEffect(x, y, color = "rgba(255,255,255,0.9)") {
+  hitEffects.push({
+    x,
+    y,
+    color,
+    life: 0,
+    maxLife: 0.25 + cosmeticRandom() * 0.1,
+    size: 12 + cosmeticRandom() * 8,
+    rotation: cosmeticRandom() * Math.PI,
+  });
+}
+
+export function updateHitEffects(dt) {
+  hitEffects.forEach((fx) => {
+    fx.life += dt;
+  });
+  hitEffects = hitEffects.filter((fx) => fx.life < fx.maxLife);
+}
+
+export function clearHitEffects() {
+  hitEffects = [];
+}
+
+export function drawHitEffects(ctx) {
+  if (!hitEffects.length) return;
+  ctx.save();
+  applyView(ctx);
+  ctx.lineWidth = 2.5;
+  ctx.lineCap = "round";
+  for (const fx of hitEffects) {
+    const t = fx.life / fx.maxLife;
+    const alpha = 1 - t;
+    const size = fx.size * (0.7 + 0.3 * t);
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = fx.color;
+    ctx.save();
+    ctx.translate(fx.x, fx.y);
+    ctx.rotate(fx.rotation);
+    // Simple 4-point star (like a sparkle)
+    ctx.beginPath();
+    ctx.moveTo(-size, 0);
+    ctx.lineTo(size, 0);
+    ctx.moveTo(0, -size * 0.6);
+    ctx.lineTo(0, size * 0.6);
+    ctx.stroke();
+    ctx.restore();
+  }
+  ctx.restore();
+}
+
+// winner is the winning team ({ name, color }). Free-for-all sides are named
+// after their units ("Circles"), team battles after the team ("Red Team").
+// Always centered on screen, whatever the camera is doing.
+export function drawVictoryMessage(ctx, arena, winner, teamMode = false) {
+  if (!winner) return;
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.font = "bold 48px Inter, system-ui, sans-serif";
+  ctx.fillStyle = winner.color ?? "#f4f6fb";
+  ctx.fillText(`${winner.name} ${teamMode ? "wins" : "win"}!`, arena.center.x, arena.center.y);
+  ctx.restore();
+}
+
+function fillPolygon(ctx, sides, radius) {
+  ctx.beginPath();
+  for (let i = 0; i < sides; i += 1) {
+    const angle = (i / sides) * Math.PI * 2;
+    const x = Math.cos(angle) * radius;
+    const y = Math.sin(angle) * radius;
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.closePath();
+  ctx.fill();
+}
+
+// One painter per shape in SHAPES, each drawing around the origin.
+const SHAPE_PAINTERS = {
+  circle(ctx, size) {
+    ctx.beginPath();
+    ctx.arc(0, 0, size, 0, Math.PI * 2);
+    ctx.fill();
+  },
+  square(ctx, size, heading) {
+    ctx.rotate(heading * 0.2);
+    ctx.fillRect(-size, -size, size * 2, size * 2);
+  },
+  triangle(ctx, size, heading) {
+    ctx.rotate(heading);
+    ctx.beginPath();
+    const s = size * 1.2;
+    ctx.moveTo(s, 0);
+    ctx.lineTo(-s * 0.8, s * 0.75);
+    ctx.lineTo(-s * 0.8, -s * 0.75);
+    ctx.closePath();
+    ctx.fill();
+  },
+  diamond(ctx, size, heading) {
+    ctx.rotate(heading);
+    fillPolygon(ctx, 4, size * 1.25);
+  },
+  pentagon(ctx, size, heading) {
+    ctx.rotate(heading);
+    fillPolygon(ctx, 5, size * 1.1);
+  },
+  hexagon(ctx, size, heading) {
+    ctx.rotate(heading * 0.2);
+    fillPolygon(ctx, 6, size * 1.05);
+  },
+};
+
+function lerp(from, to, alpha) {
+  return from + (to - from) * alpha;
+}
+
+// Status effect auras that sit under a unit: a glow while it burns and speed
+// lines trailing a dash. ctx is already centred on the unit.
+function drawEffectAuras(ctx, warrior) {
+  const { size } = warrior.config;
+  if (warrior.effects.has("burn")) {
+    const glow = ctx.createRadialGradient(0, 0, size * 0.6, 0, 0, size + 10);
+    glow.addColorStop(0, "rgba(255,140,60,0.55)");
+    glow.addColorStop(1, "rgba(255,80,30,0)");
+    ctx.fillStyle = glow;
+    ctx.beginPath();
+    ctx.arc(0, 0, size + 10, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  if (warrior.effects.has("haste")) {
+    ctx.save();
+    ctx.rotate(warrior.heading);
+    ctx.strokeStyle = "rgba(255,255,255,0.55)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (const offset of [-size / 2, 0, size / 2]) {
+      ctx.moveTo(-size - 4, offset);
+      ctx.lineTo(-size - 16, offset);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+// Status effect marks drawn over a unit: a frosty ring while slowed, a steel
+// rim while armored and stars circling its head while stunned
+function drawEffectIcons(ctx, warrior) {
+  const { size } = warrior.config;
+  if (warrior.effects.has("slow")) {
+    ctx.strokeStyle = "rgba(140,210,255,0.85)";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.arc(0, 0, size + 3, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  if (warrior.effects.has("armor")) {
+    ctx.strokeStyle = "rgba(210,218,235,0.9)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, size + 1.5, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  const stun = warrior.effects.get("stun");
+  if (stun) {
+    ctx.fillStyle = "#ffe066";
+    for (let i = 0; i < 3; i += 1) {
+      const angle = stun.remaining * 6 + (i * Math.PI * 2) / 3;
+      ctx.beginPath();
+      ctx.arc(Math.cos(angle) * 9, -size - 18 + Math.sin(angle) * 3, 2.2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+// alpha is how far the renderer is between the previous and current engine
+// tick (0..1); positions are blended so motion stays smooth at any refresh rate.
+export function drawWarrior(ctx, warrior, alpha = 1) {
+  ctx.save();
+  applyView(ctx);
+  ctx.translate(lerp(warrior.prevX, warrior.x, alpha), lerp(warrior.prevY, warrior.y, alpha));
+  // Replayed units carry no status effects
+  const showEffects = warrior.effects?.size > 0;
+  if (showEffects) {
+    drawEffectAuras(ctx, warrior);
+  }
+  ctx.fillStyle = warrior.config.color;
+  ctx.save();
+  (SHAPE_PAINTERS[warrior.config.shape] ?? SHAPE_PAINTERS.circle)(ctx, warrior.config.size, warrior.heading);
+  ctx.restore();
+
+  // team ring, so mixed teams stay readable whatever shapes they field
+  if (warrior.teamColor) {
+    ctx.strokeStyle = warrior.teamColor;
+    ctx.lineWidth = 2.5;
+    ctx.beginPath();
+    ctx.arc(0, 0, warrior.config.size + 5, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  if (showEffects) {
+    drawEffectIcons(ctx, warrior);
+  }
+
+  // health bar
+  const healthWidth = 26;
+  const healthHeight = 4;
+  ctx.fillStyle = "rgba(0,0,0,0.6)";
+  ctx.fillRect(-healthWidth / 2, -warrior.config.size - 10, healthWidth, healthHeight);
+  const hpRatio = Math.max(0, warrior.hp / warrior.config.hp);
+  ctx.fillStyle = "#4cffaa";
+  ctx.fillRect(
+    -healthWidth / 2,
+    -warrior.config.size - 10,
+    healthWidth * hpRatio,
+    healthHeight
+  );
+  ctx.restore();
+}
+
+export function drawProjectiles(ctx, projectiles, alpha = 1) {
+  ctx.save();
+  applyView(ctx);
+  ctx.fillStyle = "rgba(255,255,255,0.7)";
+  for (const projectile of projectiles) {
+    const x = lerp(projectile.prevX, projectile.x, alpha);
+    const y = lerp(projectile.prevY, projectile.y, alpha);
+    ctx.beginPath();
+    ctx.arc(x, y, projectile.radius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+// Inspector overlay for one unit: a selection ring, its attack range (and
+// kiting band for ranged units) and a line to whoever it is busy with.
+export function drawInspection(ctx, warrior, alpha = 1) {
+  const x = lerp(warrior.prevX, warrior.x, alpha);
+  const y = lerp(warrior.prevY, warrior.y, alpha);
+  const { config } = warrior;
+  ctx.save();
+  applyView(ctx);
+  ctx.lineWidth = 1.5;
+
+  const focus = warrior.patient ?? warrior.target;
+  if (focus?.alive) {
+    ctx.strokeStyle = warrior.patient ? "rgba(124,242,156,0.8)" : "rgba(255,92,92,0.8)";
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(lerp(focus.prevX, focus.x, alpha), lerp(focus.prevY, focus.y, alpha));
+    ctx.stroke();
+  }
+
+  ctx.setLineDash([6, 6]);
+  ctx.strokeStyle = "rgba(255,255,255,0.35)";
+  ctx.beginPath();
+  ctx.arc(x, y, config.range, 0, Math.PI * 2);
+  ctx.stroke();
+  if (config.preferred) {
+    ctx.strokeStyle = "rgba(255,200,87,0.35)";
+    for (const radius of [config.preferred.min, config.preferred.max]) {
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+
+  ctx.setLineDash([]);
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = "#ffffff";
+  ctx.beginPath();
+  ctx.arc(x, y, config.size + 9, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Where the minimap sits on a canvas of the given size, and how many minimap
+// pixels one world pixel takes up
+export function minimapRect(width, height) {
+  const scale = MINIMAP_SIZE / Math.max(width, height);
+  return {
+    x: width - width * scale - MINIMAP_MARGIN,
+    y: height - height * scale - MINIMAP_MARGIN,
+    width: width * scale,
+    height: height * scale,
+    scale,
+  };
+}
+
+// Overview of the whole arena with the given (living) units as dots and a
+// frame around the part the camera is showing. Only drawn while zoomed in; at
+// rest the arena is its own overview.
+export function drawMinimap(ctx, arena, warriors = []) {
+  if (!view || view.zoom <= 1) return;
+  const rect = minimapRect(arena.width, arena.height);
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = "rgba(4,5,10,0.85)";
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  ctx.strokeStyle = "rgba(255,255,255,0.25)";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+
+  ctx.translate(rect.x, rect.y);
+  ctx.scale(rect.scale, rect.scale);
+  ctx.fillStyle = "rgba(19,27,48,0.9)";
+  ctx.beginPath();
+  if (arena.shape === "rectangle") {
+    ctx.rect(
+      arena.center.x - arena.halfWidth,
+      arena.center.y - arena.halfHeight,
+      arena.halfWidth * 2,
+      arena.halfHeight * 2
+    );
+  } else {
+    ctx.arc(arena.center.x, arena.center.y, arena.radius, 0, Math.PI * 2);
+  }
+  ctx.fill();
+  ctx.lineCap = "round";
+  ctx.strokeStyle = "#3a3f55";
+  ctx.fillStyle = "#3a3f55";
+  for (const obstacle of arena.obstacles) {
+    ctx.beginPath();
+    if (obstacle.kind === "pillar") {
+      ctx.arc(obstacle.ax, obstacle.ay, obstacle.r, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      ctx.lineWidth = Math.max(obstacle.r * 2, 1 / rect.scale);
+      ctx.moveTo(obstacle.ax, obstacle.ay);
+      ctx.lineTo(obstacle.bx, obstacle.by);
+      ctx.stroke();
+    }
+  }
+  const dot = 2.5 / rect.scale;
+  for (const warrior of warriors) {
+    ctx.fillStyle = warrior.teamColor ?? warrior.config.color;
+    ctx.fillRect(warrior.x - dot, warrior.y - dot, dot * 2, dot * 2);
+  }
+
+  const topLeft = view.toWorld({ x: 0, y: 0 });
+  const bottomRight = view.toWorld({ x: arena.width, y: arena.height });
+  ctx.strokeStyle = "#ffffff";
+  ctx.lineWidth = 1.5 / rect.scale;
+  ctx.strokeRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+  ctx.restore();
+}
+
+// Paint one full frame of a simulation. The victory banner only shows once the
+// battle has actually been decided.
+export function drawBattle(ctx, sim, alpha = 1) {
+  clearArena(ctx, sim.arena);
+  drawProjectiles(ctx, sim.projectiles, alpha);
+  sim.warriors.forEach((warrior) => drawWarrior(ctx, warrior, alpha));
+  drawHitEffects(ctx);
+  drawMinimap(ctx, sim.arena, sim.warriors.filter((warrior) => warrior.alive));
+  if (sim.finished) {
+    drawVictoryMessage(ctx, sim.arena, sim.winningTeam, sim.teamMode);
+  }
+}
@@ -0,0 +1,197 @@
+// Replay viewer. Takes over the arena canvas to play back a recorded battle,
+// either the last one fought or a downloaded JSON file, with play/pause, speed
+// and a timeline scrubber under the canvas.
+
+import { createArena } from "./simulation.js";
+import { downloadJson, readJsonFile } from "./files.js";
+import { ReplayPlayback, validateReplay } from "./replay.js";
+import {
+  clearArena,
+  clearHitEffects,
+  drawHitEffects,
+  drawMinimap,
+  drawProjectiles,
+  drawVictoryMessage,
+  drawWarrior,
+  spawnHitEffect,
+  updateHitEffects,
+} from "./renderer.js";
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+let viewer = null;
+
+function formatTime(seconds) {
+  return `${seconds.toFixed(1)}s`;
+}
+
+// Leave replay mode without touching the arena; whoever calls this is about
+// to draw something else.
+export function closeReplay() {
+  viewer?.close();
+}
+
+// Draw the current frame again, e.g. after the camera moved while paused
+export function redrawReplay() {
+  viewer?.redraw();
+}
+
+// getRecording returns the ReplayRecorder of the latest battle (or null).
+// onOpen runs before a replay takes over the canvas, onExit after the user
+// leaves it.
+export function initReplayPanel({ ctx, getRecording, onOpen, onExit }) {
+  const lastBtn = document.getElementById("replay-last-btn");
+  const downloadBtn = document.getElementById("replay-download-btn");
+  const fileInput = document.getElementById("replay-file");
+  const status = document.getElementById("replay-status");
+  const bar = document.getElementById("replay-bar");
+  const playBtn = document.getElementById("replay-play-btn");
+  const speedSelect = document.getElementById("replay-speed");
+  const scrub = document.getElementById("replay-scrub");
+  const timeLabel = document.getElementById("replay-time");
+  const exitBtn = document.getElementById("replay-exit-btn");
+
+  let playback = null;
+  let arena = null;
+  let tick = 0;
+  let playing = false;
+  let frameId = null;
+  let lastTimestamp = 0;
+
+  speedSelect.append(...SPEEDS.map((speed) => new Option(`${speed}×`, speed, speed === 1, speed === 1)));
+
+  function render() {
+    const { warriors, projectiles, alpha } = playback.sample(tick);
+    clearArena(ctx, arena);
+    drawProjectiles(ctx, projectiles, alpha);
+    warriors.forEach((warrior) => drawWarrior(ctx, warrior, alpha));
+    drawHitEffects(ctx);
+    drawMinimap(ctx, arena, warriors);
+    drawVictoryMessage(ctx, arena, playback.winnerAt(tick), playback.teamMode);
+    scrub.value = Math.floor(tick);
+    timeLabel.textContent = `${formatTime(tick * playback.dt)} / ${formatTime(playback.duration)}`;
+  }
+
+  function setPlaying(value) {
+    playing = value;
+    playBtn.textContent = playing ? "Pause" : "Play";
+    if (playing) {
+      if (tick >= playback.lastTick) {
+        tick = 0;
+        clearHitEffects();
+      }
+      lastTimestamp = performance.now();
+      frameId = requestAnimationFrame(loop);
+    } else if (frameId) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+  }
+
+  function loop(timestamp) {
+    if (!playing) {
+      return;
+    }
+    const delta = ((timestamp - lastTimestamp) / 1000 || 0) * Number(speedSelect.value);
+    lastTimestamp = timestamp;
+    const previous = tick;
+    tick = Math.min(playback.lastTick, tick + delta / playback.dt);
+    for (const event of playback.eventsBetween(Math.floor(previous), Math.floor(tick))) {
+      if (event.kind === "hit") {
+        spawnHitEffect(event.x, event.y);
+      } else if (event.kind === "heal") {
+        spawnHitEffect(event.x, event.y, "rgba(124,242,156,0.9)");
+      } else if (event.kind === "ability") {
+        spawnHitEffect(event.x, event.y, "rgba(255,224,102,0.9)");
+      } else if (event.kind === "burst") {
+        spawnHitEffect(event.x, event.y, "rgba(255,140,60,0.9)");
+      } else if (event.kind === "wave") {
+        spawnHitEffect(event.x, event.y, "rgba(255,92,92,0.9)");
+      }
+    }
+    updateHitEffects(delta);
+    render();
+    if (tick >= playback.lastTick) {
+      setPlaying(false);
+      return;
+    }
+    frameId = requestAnimationFrame(loop);
+  }
+
+  function open(replay, label) {
+    onOpen?.();
+    closeReplay();
+    playback = new ReplayPlayback(replay);
+    arena = createArena(playback.arena.width, playback.arena.height, playback.map);
+    tick = 0;
+    clearHitEffects();
+    scrub.max = playback.lastTick;
+    bar.hidden = false;
+    status.textContent = `${label} · seed ${replay.seed} · ${formatTime(playback.duration)}`;
+    render();
+    setPlaying(true);
+  }
+
+  function close() {
+    if (!playback) {
+      return;
+    }
+    setPlaying(false);
+    playback = null;
+    bar.hidden = true;
+    clearHitEffects();
+  }
+  viewer = {
+    close,
+    redraw() {
+      if (playback) {
+        render();
+      }
+    },
+  };
+
+  function replayLast() {
+    const recording = getRecording();
+    if (!recording) {
+      status.textContent = "Fight a battle first, then replay it here.";
+      return;
+    }
+    open(validateReplay(recording.toJSON()), "Last battle");
+  }
+
+  function download() {
+    const data = playback?.replay ?? getRecording()?.toJSON();
+    if (!data) {
+      status.textContent = "Nothing recorded yet.";
+      return;
+    }
+    downloadJson(data, `ratio-arena-replay-${data.seed}.json`);
+  }
+
+  async function load() {
+    const [file] = fileInput.files;
+    fileInput.value = "";
+    if (!file) {
+      return;
+    }
+    try {
+      open(validateReplay(await readJsonFile(file)), file.name);
+    } catch (error) {
+      status.textContent = error.message;
+    }
+  }
+
+  lastBtn.addEventListener("click", replayLast);
+  downloadBtn.addEventListener("click", download);
+  fileInput.addEventListener("change", load);
+  playBtn.addEventListener("click", () => setPlaying(!playing));
+  scrub.addEventListener("input", () => {
+    tick = Number(scrub.value);
+    clearHitEffects();
+    render();
+  });
+  exitBtn.addEventListener("click", () => {
+    close();
+    onExit?.();
+  });
+}
@@ -0,0 +1,271 @@
+// Battle recordings. A recorder watches a Simulation tick by tick and keeps a
+// compact log (spawn state, keyframes of positions/HP/projectiles, and every
+// hit, heal and death); a playback rebuilds drawable units from that log at
+// any point in time. Nothing here touches the DOM.
+
+import { OPEN_MAP, normalizeMap } from "./maps.js";
+import { FIXED_DT } from "./simulation.js";
+import { normalizeUnitType } from "./unit-types.js";
+
+export const REPLAY_FORMAT = "ratio-arena-replay";
+export const REPLAY_VERSION = 1;
+
+// Keyframe every few ticks; playback interpolates in between, which keeps a
+// minute of a 100-unit battle at a few megabytes of JSON.
+const KEYFRAME_EVERY = 3;
+
+// Per-unit values in a keyframe: id, x, y, heading, hp
+const UNIT_STRIDE = 5;
+// Per-projectile values in a keyframe: id, x, y
+const PROJECTILE_STRIDE = 3;
+
+function round(value, digits = 1) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+export class ReplayRecorder {
+  constructor(sim, { keyframeEvery = KEYFRAME_EVERY } = {}) {
+    this.sim = sim;
+    this.keyframeEvery = keyframeEvery;
+    this.tick = 0;
+    this.units = [];
+    this.unitIds = new Map();
+    this.projectileIds = new WeakMap();
+    this.nextProjectileId = 0;
+    this.frames = [];
+    this.events = [];
+    this.captureFrame();
+  }
+
+  unitId(warrior) {
+    let id = this.unitIds.get(warrior);
+    if (id === undefined) {
+      id = this.units.length;
+      this.unitIds.set(warrior, id);
+      this.units.push({ type: warrior.type, team: warrior.team, teamColor: warrior.teamColor, spawnTick: this.tick });
+    }
+    return id;
+  }
+
+  projectileId(projectile) {
+    let id = this.projectileIds.get(projectile);
+    if (id === undefined) {
+      id = this.nextProjectileId++;
+      this.projectileIds.set(projectile, id);
+    }
+    return id;
+  }
+
+  captureFrame() {
+    const units = [];
+    for (const warrior of this.sim.warriors) {
+      if (!warrior.alive) continue;
+      units.push(this.unitId(warrior), round(warrior.x), round(warrior.y), round(warrior.heading, 2), round(warrior.hp));
+    }
+    const projectiles = [];
+    for (const projectile of this.sim.projectiles) {
+      projectiles.push(this.projectileId(projectile), round(projectile.x), round(projectile.y));
+    }
+    this.frames.push({ tick: this.tick, units, projectiles });
+  }
+
+  // Call once after every sim.step() with the events that step emitted.
+  recordStep(events = []) {
+    this.tick += 1;
+    for (const event of events) {
+      this.events.push({ ...event, tick: this.tick, x: round(event.x), y: round(event.y) });
+    }
+    if (this.tick % this.keyframeEvery === 0 || this.sim.finished) {
+      this.captureFrame();
+    }
+  }
+
+  toJSON() {
+    const { sim } = this;
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: sim.seed,
+      dt: FIXED_DT,
+      arena: { width: sim.arena.width, height: sim.arena.height },
+      map: sim.arena.map,
+      types: sim.types,
+      teamMode: sim.teamMode,
+      teams: sim.teams,
+      // Copies, so a playback opened mid-battle doesn't see later ticks
+      units: [...this.units],
+      frames: [...this.frames],
+      events: [...this.events],
+      outcome: { finished: sim.finished, winner: sim.winner, ticks: this.tick },
+    };
+  }
+}
+
+function fail(message) {
+  throw new Error(`Not a usable replay: ${message}`);
+}
+
+// Check a parsed replay file before handing it to ReplayPlayback. Errors are
+// phrased for the user since this is what runs on "Load Replay".
+export function validateReplay(data) {
+  if (!data || data.format !== REPLAY_FORMAT) {
+    fail("this file is not a Ratio Arena replay.");
+  }
+  if (data.version !== REPLAY_VERSION) {
+    fail(`replay version ${data.version} is not supported (expected ${REPLAY_VERSION}).`);
+  }
+  if (!Array.isArray(data.frames) || data.frames.length === 0) {
+    fail("it has no recorded frames.");
+  }
+  if (!Array.isArray(data.units) || !Array.isArray(data.teams) || !Array.isArray(data.events)) {
+    fail("its unit, team or event list is missing.");
+  }
+  const size = (value) => typeof value === "number" && Number.isFinite(value) && value > 0;
+  if (!data.arena || !size(data.arena.width) || !size(data.arena.height)) {
+    fail("its arena size is missing or malformed.");
+  }
+  const types = {};
+  for (const [id, definition] of Object.entries(data.types ?? {})) {
+    types[id] = normalizeUnitType(id, definition);
+  }
+  for (const unit of data.units) {
+    if (!types[unit.type]) {
+      fail(`it uses unknown unit type "${unit.type}".`);
+    }
+  }
+  let lastTick = -1;
+  for (const frame of data.frames) {
+    if (!(frame.tick > lastTick) || !Array.isArray(frame.units) || !Array.isArray(frame.projectiles)) {
+      fail("its frames are out of order or malformed.");
+    }
+    lastTick = frame.tick;
+  }
+  // Recordings from before maps existed were all fought in the open circle
+  let map = OPEN_MAP;
+  if (data.map !== undefined) {
+    try {
+      map = normalizeMap(data.map);
+    } catch (error) {
+      fail(error.message);
+    }
+  }
+  const events = [...data.events].sort((a, b) => a.tick - b.tick);
+  return { ...data, types, map, events };
+}
+
+// Random access into a recording. sample() hands back units and projectiles
+// shaped like the engine's (prevX/prevY plus x/y and an alpha between them) so
+// the regular renderer can draw them unchanged.
+export class ReplayPlayback {
+  constructor(replay) {
+    this.replay = replay;
+    this.arena = replay.arena;
+    this.map = replay.map ?? OPEN_MAP;
+    this.dt = replay.dt ?? FIXED_DT;
+    this.frames = replay.frames;
+    this.lastTick = this.frames[this.frames.length - 1].tick;
+    this.duration = this.lastTick * this.dt;
+    this.teams = replay.teams;
+    this.teamMode = replay.teamMode;
+  }
+
+  // Index of the last keyframe at or before tick
+  frameIndex(tick) {
+    let low = 0;
+    let high = this.frames.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.frames[mid].tick <= tick) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  sample(tick) {
+    const clamped = Math.min(this.lastTick, Math.max(0, tick));
+    const index = this.frameIndex(clamped);
+    const from = this.frames[index];
+    const to = this.frames[Math.min(index + 1, this.frames.length - 1)];
+    const alpha = to.tick > from.tick ? (clamped - from.tick) / (to.tick - from.tick) : 1;
+
+    const previous = new Map();
+    for (let i = 0; i < from.units.length; i += UNIT_STRIDE) {
+      previous.set(from.units[i], i);
+    }
+    const warriors = [];
+    for (let i = 0; i < to.units.length; i += UNIT_STRIDE) {
+      const id = to.units[i];
+      const unit = this.replay.units[id];
+      if (!unit) continue;
+      const start = previous.get(id);
+      const x = to.units[i + 1];
+      const y = to.units[i + 2];
+      warriors.push({
+        id,
+        type: unit.type,
+        team: unit.team,
+        teamColor: unit.teamColor,
+        config: this.replay.types[unit.type],
+        prevX: start === undefined ? x : from.units[start + 1],
+        prevY: start === undefined ? y : from.units[start + 2],
+        x,
+        y,
+        heading: to.units[i + 3],
+        hp: to.units[i + 4],
+      });
+    }
+
+    const shots = new Map();
+    for (let i = 0; i < from.projectiles.length; i += PROJECTILE_STRIDE) {
+      shots.set(from.projectiles[i], i);
+    }
+    const projectiles = [];
+    for (let i = 0; i < to.projectiles.length; i += PROJECTILE_STRIDE) {
+      const start = shots.get(to.projectiles[i]);
+      const x = to.projectiles[i + 1];
+      const y = to.projectiles[i + 2];
+      projectiles.push({
+        prevX: start === undefined ? x : from.projectiles[start + 1],
+        prevY: start === undefined ? y : from.projectiles[start + 2],
+        x,
+        y,
+        radius: 4,
+      });
+    }
+
+    return { warriors, projectiles, alpha };
+  }
+
+  // Events with fromTick < tick <= toTick, for sparks while playing forward
+  eventsBetween(fromTick, toTick) {
+    const { events } = this.replay;
+    let low = 0;
+    let high = events.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (events[mid].tick <= fromTick) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    const found = [];
+    for (let i = low; i < events.length && events[i].tick <= toTick; i += 1) {
+      found.push(events[i]);
+    }
+    return found;
+  }
+
+  // The winning team once playback reaches the end of a decided battle
+  winnerAt(tick) {
+    const { outcome } = this.replay;
+    if (tick < this.lastTick || !outcome?.finished || !outcome.winner) {
+      return null;
+    }
+    return this.teams.find((team) => team.id === outcome.winner) ?? null;
+  }
+}
@@ -0,0 +1,45 @@
+// Seeded pseudo-random numbers. Every draw that can change the outcome of a
+// battle must come from a Simulation's own stream so that the same seed and
+// counts always replay the same fight.
+
+// Hash an arbitrary seed (number or string) down to a 32-bit integer.
+function hashSeed(seed) {
+  const text = String(seed);
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i += 1) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// mulberry32: small, fast and good enough for gameplay randomness.
+// Returns a function that yields floats in [0, 1) like Math.random.
+export function createRng(seed) {
+  let state = hashSeed(seed);
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
+
+// Separate stream for purely visual/audio jitter (spark sizes, sound pitch).
+// Drawing from it can never desync a battle.
+let cosmeticRng = createRng(randomSeed());
+
+export function cosmeticRandom() {
+  return cosmeticRng();
+}
+
+export function reseedCosmetic(seed) {
+  cosmeticRng = createRng(`${seed}:cosmetic`);
+}
@@ -0,0 +1,203 @@
+// Scripted AI panel. The user writes (or loads) a brain script and picks the
+// unit type it drives; each live battle then gets a ScriptRunner that keeps a
+// script-worker.js in lockstep with the engine. The script is kept in
+// localStorage so it survives a reload.
+
+import { EXAMPLE_SCRIPT, scriptViews } from "./scripting.js";
+import { TYPE_CONFIG, onUnitTypesChange } from "./unit-types.js";
+
+const STORAGE_KEY = "ratio-arena.script";
+
+// A tick the worker hasn't answered after this long means a runaway script
+const WATCHDOG_MS = 1000;
+
+let panel = null;
+
+function loadSavedScript() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) ?? EXAMPLE_SCRIPT;
+  } catch {
+    return EXAMPLE_SCRIPT;
+  }
+}
+
+function saveScript(code) {
+  try {
+    localStorage.setItem(STORAGE_KEY, code);
+  } catch (error) {
+    console.warn("Could not save the script:", error);
+  }
+}
+
+function createScriptWorker() {
+  return new Worker(new URL("./script-worker.js", import.meta.url), { type: "module" });
+}
+
+// Drives one battle's scripted units. The engine may only step once the
+// worker has answered for the coming tick (ready), and onReady is called the
+// moment it has, so the battle needn't wait for the next frame to go on.
+// beforeStep() hands the answers to the Simulation and afterStep() asks about
+// the next tick. If the script fails to load, runs too slowly or hangs, the
+// runner gives up and the units fall back on their type's own tactics for the
+// rest of the battle.
+class ScriptRunner {
+  constructor(sim, code, report, onReady) {
+    this.sim = sim;
+    this.report = report;
+    this.onReady = onReady;
+    this.tick = 0;
+    this.decisions = null;
+    this.failed = false;
+    this.warned = false;
+    this.watchdog = null;
+    this.worker = createScriptWorker();
+    this.worker.onmessage = ({ data }) => this.receive(data);
+    this.worker.onerror = (event) => {
+      console.warn("Script worker failed:", event);
+      this.fail("The script worker crashed.");
+    };
+    this.worker.postMessage({ kind: "load", code, seed: sim.seed });
+    this.request();
+  }
+
+  get ready() {
+    return this.failed || this.decisions !== null;
+  }
+
+  request() {
+    this.decisions = null;
+    this.worker.postMessage({ kind: "tick", tick: this.tick, views: scriptViews(this.sim) });
+    this.watchdog = setTimeout(() => {
+      this.fail(`The script took over ${WATCHDOG_MS / 1000}s to answer one tick and was stopped.`);
+    }, WATCHDOG_MS);
+  }
+
+  receive(data) {
+    if (data.kind === "error") {
+      this.fail(data.message);
+      return;
+    }
+    if (data.kind !== "decisions" || data.tick !== this.tick || this.failed) {
+      return;
+    }
+    clearTimeout(this.watchdog);
+    this.decisions = data.decisions;
+    if (!this.warned && data.failure) {
+      this.warned = true;
+      this.report(`The script threw "${data.failure}". Units it fails for hold still that tick.`);
+    }
+    this.onReady();
+  }
+
+  beforeStep() {
+    this.sim.setDecisions(this.failed ? null : this.decisions);
+  }
+
+  afterStep() {
+    this.tick += 1;
+    if (!this.failed && !this.sim.finished) {
+      this.request();
+    }
+  }
+
+  fail(message) {
+    if (this.failed) return;
+    this.failed = true;
+    this.stop();
+    this.sim.setDecisions(null);
+    this.report(`${message} Scripted units fall back on their own tactics.`);
+    this.onReady();
+  }
+
+  stop() {
+    clearTimeout(this.watchdog);
+    this.worker.terminate();
+  }
+}
+
+// The unit types the script drives (at most one), for Simulation's scripted
+// option
+export function getScriptedTypes() {
+  return panel?.scriptedTypes() ?? [];
+}
+
+// A ScriptRunner for a battle with scripted units, or null when it has none.
+// onReady is called whenever the battle may take its next step.
+export function startScripts(sim, onReady) {
+  return panel?.start(sim, onReady) ?? null;
+}
+
+export function initScriptPanel() {
+  const typeSelect = document.getElementById("script-type");
+  const fileInput = document.getElementById("script-file");
+  const editor = document.getElementById("script-code");
+  const checkBtn = document.getElementById("script-check-btn");
+  const exampleBtn = document.getElementById("script-example-btn");
+  const status = document.getElementById("script-status");
+
+  function renderTypeOptions() {
+    const previous = typeSelect.value;
+    typeSelect.replaceChildren(
+      new Option("Nobody (built-in tactics)", ""),
+      ...Object.entries(TYPE_CONFIG).map(([id, config]) => new Option(config.name, id))
+    );
+    typeSelect.value = TYPE_CONFIG[previous] ? previous : "";
+  }
+
+  function setCode(code) {
+    editor.value = code;
+    saveScript(code);
+  }
+
+  // Compile the script in a throwaway worker, the same way battles do
+  function check() {
+    const worker = createScriptWorker();
+    const timer = setTimeout(() => {
+      worker.terminate();
+      status.textContent = "The script never finished loading. Is there an endless loop at the top level?";
+    }, WATCHDOG_MS);
+    worker.onmessage = ({ data }) => {
+      clearTimeout(timer);
+      worker.terminate();
+      status.textContent = data.kind === "loaded" ? "The script loads and defines brain(view)." : data.message;
+    };
+    worker.postMessage({ kind: "load", code: editor.value, seed: "check" });
+  }
+
+  async function load() {
+    const [file] = fileInput.files;
+    fileInput.value = "";
+    if (!file) {
+      return;
+    }
+    setCode(await file.text());
+    status.textContent = `Loaded ${file.name}.`;
+  }
+
+  panel = {
+    scriptedTypes() {
+      return typeSelect.value ? [typeSelect.value] : [];
+    },
+    start(sim, onReady) {
+      if (sim.scripted.size === 0) {
+        return null;
+      }
+      status.textContent = `Scripting ${TYPE_CONFIG[typeSelect.value]?.name ?? "units"} in this battle.`;
+      const report = (message) => {
+        status.textContent = message;
+      };
+      return new ScriptRunner(sim, editor.value, report, onReady);
+    },
+  };
+
+  editor.value = loadSavedScript();
+  renderTypeOptions();
+  onUnitTypesChange(renderTypeOptions);
+  editor.addEventListener("change", () => saveScript(editor.value));
+  fileInput.addEventListener("change", load);
+  checkBtn.addEventListener("click", check);
+  exampleBtn.addEventListener("click", () => {
+    setCode(EXAMPLE_SCRIPT);
+    status.textContent = "Restored the example script.";
+  });
+}
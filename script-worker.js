@@ -0,0 +1,159 @@
+// Runs a user script's brain off the page. The page sends the script once
+// ("load") and then one batch of unit views per tick ("tick"); the worker
+// answers each batch with a decision per unit. Before any script code runs the
+// worker strips its global scope down to the bare language, so a script can
+// compute but not reach the network, storage, timers or the page. A brain call
+// that runs over its limit fails the script; one that never returns at all is
+// the page's to deal with, by terminating us.
+
+import { createRng } from "./rng.js";
+import { compileBrain, sanitizeDecision } from "./scripting.js";
+
+// Milliseconds one brain call may take. A slow call fails the whole script
+// rather than leaving units without an answer, so every tick a battle
+// actually plays is the same however fast the machine is.
+const CALL_LIMIT_MS = 20;
+
+// The language's own globals, which is all a script needs. Function and eval
+// are left out on purpose: without them a script can't turn a string into
+// code, and so can't build an import() that the source check would miss.
+const LANGUAGE_GLOBALS = new Set([
+  "globalThis",
+  "Infinity",
+  "NaN",
+  "undefined",
+  "isFinite",
+  "isNaN",
+  "parseFloat",
+  "parseInt",
+  "decodeURI",
+  "decodeURIComponent",
+  "encodeURI",
+  "encodeURIComponent",
+  "escape",
+  "unescape",
+  "Object",
+  "Boolean",
+  "Symbol",
+  "Number",
+  "BigInt",
+  "Math",
+  "Date",
+  "String",
+  "RegExp",
+  "JSON",
+  "Array",
+  "Map",
+  "Set",
+  "WeakMap",
+  "WeakSet",
+  "WeakRef",
+  "FinalizationRegistry",
+  "Promise",
+  "Proxy",
+  "Reflect",
+  "Intl",
+  "ArrayBuffer",
+  "SharedArrayBuffer",
+  "DataView",
+  "Atomics",
+  "Int8Array",
+  "Uint8Array",
+  "Uint8ClampedArray",
+  "Int16Array",
+  "Uint16Array",
+  "Int32Array",
+  "Uint32Array",
+  "Float32Array",
+  "Float64Array",
+  "BigInt64Array",
+  "BigUint64Array",
+  "Error",
+  "AggregateError",
+  "EvalError",
+  "RangeError",
+  "ReferenceError",
+  "SyntaxError",
+  "TypeError",
+  "URIError",
+  "console",
+]);
+
+// What the worker itself still needs once the globals are gone
+const post = self.postMessage.bind(self);
+const now = performance.now.bind(performance);
+
+let brain = null;
+
+// Delete everything but LANGUAGE_GLOBALS from the global scope and its
+// prototypes, and the constructors every kind of function leads back to
+// (how `(function () {}).constructor("return this")` gets at the global).
+// Throws if the browser refuses to let something go.
+function lockDown() {
+  const functionKinds = [function () {}, async function () {}, function* () {}, async function* () {}];
+  for (const kind of functionKinds) {
+    delete Object.getPrototypeOf(kind).constructor;
+  }
+  const kept = [];
+  for (let scope = globalThis; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+    for (const key of Reflect.ownKeys(scope)) {
+      if (scope === globalThis && LANGUAGE_GLOBALS.has(key)) continue;
+      // What can't be deleted can at least be emptied, if it's writable
+      if (!Reflect.deleteProperty(scope, key) && !Reflect.defineProperty(scope, key, { value: undefined })) {
+        kept.push(String(key));
+      }
+    }
+  }
+  if (kept.length > 0) {
+    throw new Error(`Scripts can't run here: this browser won't let the sandbox drop ${kept.join(", ")}.`);
+  }
+}
+
+function freeze(value) {
+  if (value && typeof value === "object") {
+    Object.values(value).forEach(freeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+function load({ code, seed }) {
+  // Seeded per battle, so a script that rolls dice still replays the same
+  Math.random = createRng(`${seed}:script`);
+  try {
+    lockDown();
+    brain = compileBrain(code);
+    post({ kind: "loaded" });
+  } catch (error) {
+    brain = null;
+    post({ kind: "error", message: error.message });
+  }
+}
+
+function tick({ tick: number, views }) {
+  const decisions = {};
+  let failure = null;
+  for (const { id, view } of views) {
+    const started = now();
+    try {
+      decisions[id] = sanitizeDecision(brain(freeze(view)));
+    } catch (error) {
+      decisions[id] = sanitizeDecision(null);
+      failure ??= error.message;
+    }
+    if (now() - started > CALL_LIMIT_MS) {
+      brain = null;
+      post({ kind: "error", message: `The script took over ${CALL_LIMIT_MS}ms to decide for one unit.` });
+      return;
+    }
+  }
+  post({ kind: "decisions", tick: number, decisions, failure });
+}
+
+self.onmessage = ({ data }) => {
+  if (data.kind === "load") {
+    load(data);
+  } else if (data.kind === "tick" && brain) {
+    tick(data);
+  }
+};
@@ -0,0 +1,172 @@
+// Scripted unit brains. A script is plain JavaScript that defines
+//
+//   function brain(view) {
+//     return { move: { x, y }, target: enemyId };
+//   }
+//
+// and is called once per tick for every living unit of the scripted type.
+// view is a frozen snapshot taken before the tick:
+//
+//   view.time         seconds since the battle started
+//   view.self         the unit itself: { id, type, team, archetype, x, y,
+//                     heading, hp, maxHp, cooldown, speed, range, size,
+//                     effects }, where effects names the status effects on it
+//                     (see abilities.js); every ally and enemy listed has the
+//                     same fields
+//   view.allies       living allies within SENSE_RADIUS, nearest first
+//   view.enemies      living enemies within SENSE_RADIUS, nearest first; the
+//                     nearest enemy is always listed, however far away
+//   view.projectiles  shots within SENSE_RADIUS as { x, y, vx, vy, hostile }
+//   view.arena        { shape, x, y, radius, halfWidth, halfHeight }
+//
+// move is a direction; its length, capped at 1, is the share of full speed.
+// target is the id of the enemy to strike, which still has to be in range
+// (and in sight, for ranged units). Returning nothing holds still; while a
+// unit is stunned its answers are ignored. The engine
+// applies the answer through the same movement, clamping and attack code as
+// the built-in tactics. Scripts never run on the page: script-worker.js
+// evaluates them in a global scope stripped to the bare language, with
+// Math.random seeded per battle. A brain call that takes too long stops the
+// script, and its units go back to their type's own tactics.
+
+export const SENSE_RADIUS = 300;
+
+export const EXAMPLE_SCRIPT = `// Focus the weakest enemy in sight, and back off to let the cooldown
+// run out when something is already close.
+function brain(view) {
+  const { self, enemies } = view;
+  if (enemies.length === 0) return null;
+  const target = enemies.reduce((weakest, enemy) => (enemy.hp < weakest.hp ? enemy : weakest));
+  const dx = target.x - self.x;
+  const dy = target.y - self.y;
+  const distance = Math.hypot(dx, dy);
+  const reach = self.range + self.size + target.size;
+  if (self.cooldown > 0 && distance < reach * 1.5) {
+    return { move: { x: -dx, y: -dy }, target: target.id };
+  }
+  return { move: { x: dx, y: dy }, target: target.id };
+}
+`;
+
+function unitView(warrior) {
+  const { config } = warrior;
+  return {
+    id: warrior.id,
+    type: warrior.type,
+    team: warrior.team,
+    archetype: config.archetype,
+    x: warrior.x,
+    y: warrior.y,
+    heading: warrior.heading,
+    hp: warrior.hp,
+    maxHp: config.hp,
+    cooldown: warrior.cooldown,
+    speed: config.speed,
+    range: config.range,
+    size: config.size,
+    effects: [...warrior.effects.keys()],
+  };
+}
+
+function byDistance(warrior) {
+  return (a, b) => Math.hypot(a.x - warrior.x, a.y - warrior.y) - Math.hypot(b.x - warrior.x, b.y - warrior.y);
+}
+
+// One { id, view } per living unit of a scripted type, ready to post to the
+// worker
+export function scriptViews(sim) {
+  const { arena } = sim;
+  const arenaView = {
+    shape: arena.shape,
+    x: arena.center.x,
+    y: arena.center.y,
+    radius: arena.radius,
+    halfWidth: arena.halfWidth,
+    halfHeight: arena.halfHeight,
+  };
+  const views = [];
+  for (const warrior of sim.warriors) {
+    if (!warrior.alive || !sim.scripted.has(warrior.type)) continue;
+    const allies = [];
+    const enemies = [];
+    sim.warriorGrid.forEachNear(warrior.x, warrior.y, SENSE_RADIUS, (other) => {
+      if (!other.alive || other === warrior || warrior.distanceTo(other) > SENSE_RADIUS) return false;
+      (other.team === warrior.team ? allies : enemies).push(other);
+      return false;
+    });
+    if (enemies.length === 0) {
+      const nearest = sim.warriorGrid.nearest(warrior.x, warrior.y, (enemy) => warrior.isEnemy(enemy));
+      if (nearest) {
+        enemies.push(nearest);
+      }
+    }
+    allies.sort(byDistance(warrior));
+    enemies.sort(byDistance(warrior));
+    const projectiles = sim.projectiles
+      .filter((shot) => shot.alive && Math.hypot(shot.x - warrior.x, shot.y - warrior.y) <= SENSE_RADIUS)
+      .map((shot) => ({
+        x: shot.x,
+        y: shot.y,
+        vx: shot.vx,
+        vy: shot.vy,
+        hostile: shot.ownerTeam !== warrior.team,
+      }));
+    views.push({
+      id: warrior.id,
+      view: {
+        time: sim.time,
+        self: unitView(warrior),
+        allies: allies.map(unitView),
+        enemies: enemies.map(unitView),
+        projectiles,
+        arena: arenaView,
+      },
+    });
+  }
+  return views;
+}
+
+// Whatever a brain returned, as { move: { x, y } | null, target: id | null }.
+// Anything malformed counts as holding still.
+export function sanitizeDecision(raw) {
+  if (!raw || typeof raw !== "object") {
+    return { move: null, target: null };
+  }
+  let move = null;
+  const x = Number(raw.move?.x);
+  const y = Number(raw.move?.y);
+  if (Number.isFinite(x) && Number.isFinite(y) && (x !== 0 || y !== 0)) {
+    const length = Math.hypot(x, y);
+    const scale = Math.min(1, length) / length;
+    move = { x: x * scale, y: y * scale };
+  }
+  const target = Number.isInteger(raw.target) ? raw.target : null;
+  return { move, target };
+}
+
+// Held from load time: the script worker deletes the global Function before
+// compiling anything, so scripts themselves can't build code from strings
+const ScriptFunction = Function;
+
+// Turn script source into its brain function. Meant to run in script-worker.js
+// once it has stripped its globals, so the script can only compute. import()
+// is the one way left to load code, and it is syntax, so scripts may not
+// mention it at all. Throws with a message fit to show the user.
+export function compileBrain(code) {
+  if (/\bimport\b/.test(code)) {
+    throw new Error("Scripts can't load other code, so they may not use the word import.");
+  }
+  let factory;
+  try {
+    // Parse the script on its own first so syntax errors point into it
+    new ScriptFunction(`"use strict";\n${code}`);
+    factory = new ScriptFunction(`"use strict";\n${code}\nreturn typeof brain === "function" ? brain : null;`);
+  } catch (error) {
+    throw new Error(`The script does not parse: ${error.message}`);
+  }
+  const brain = factory();
+  if (!brain) {
+    throw new Error("The script must define a function called brain(view).");
+  }
+  return brain;
+}
@@ -0,0 +1,952 @@
+// Headless battle engine. Nothing in here touches the DOM, canvas or audio so
+// battles can be stepped from the browser renderer or scripted from Node.
+
+import { createRng, randomSeed } from "./rng.js";
+import { SpatialGrid } from "./spatial-grid.js";
+import { planMove, tacticsFor } from "./behaviours.js";
+import { STATUS_EFFECTS, topSpeedFactor, triggerAbilities } from "./abilities.js";
+import { matchupMultiplier } from "./matchups.js";
+import {
+  FORMATIONS,
+  formationSlots,
+  frontRank,
+  sectorPoint,
+  sideAnchor,
+  slotToWorld,
+} from "./formations.js";
+import {
+  OPEN_MAP,
+  clampToArena,
+  hasLineOfSight,
+  insideArena,
+  isOpenGround,
+  pushOutOfObstacles,
+  resolveMap,
+  steerAround,
+  terrainFactor,
+} from "./maps.js";
+import { TYPE_CONFIG } from "./unit-types.js";
+
+export const RATIO_LIMITS = { min: 0, max: 50 };
+
+// Minimum distance between warriors when spawning (increased from 25)
+export const SPAWN_SPACING = 30;
+
+// The engine always advances in fixed 60 Hz ticks so outcomes never depend on
+// frame rate or tab throttling.
+export const FIXED_DT = 1 / 60;
+
+// How far spawn points keep from the arena edge and from obstacles
+const SPAWN_MARGIN = 20;
+const PROJECTILE_RADIUS = 4;
+
+export function clampRatioValue(rawValue) {
+  const parsed = Number(rawValue);
+  if (Number.isNaN(parsed)) {
+    return RATIO_LIMITS.min;
+  }
+  return Math.min(RATIO_LIMITS.max, Math.max(RATIO_LIMITS.min, parsed));
+}
+
+// The playing field for a canvas of the given size. map (see maps.js) sets
+// the outline, obstacles and terrain; radius is the circle's radius or the
+// rectangle's half width either way.
+export function createArena(width = 900, height = 900, map = OPEN_MAP) {
+  const center = { x: width / 2, y: height / 2 };
+  const radius = Math.min(width, height) / 2 - 40;
+  return { width, height, center, radius, map, ...resolveMap(map, center, radius) };
+}
+
+// Free-for-all by shape: every unit type fights as its own team.
+export function teamsFromCounts(counts = {}, types = TYPE_CONFIG) {
+  return Object.entries(types).map(([type, config]) => ({
+    id: type,
+    name: config.name,
+    color: config.color,
+    counts: { [type]: counts[type] ?? 0 },
+  }));
+}
+
+// Forces are either { counts } for a free-for-all by shape or { teams } where
+// each team is { id, name, color, counts } with its own mixed composition.
+export function resolveTeams({ counts, teams } = {}, types = TYPE_CONFIG) {
+  return teams ?? teamsFromCounts(counts, types);
+}
+
+export class Warrior {
+  constructor(type, x, y, rng, config = TYPE_CONFIG[type], team = type) {
+    this.id = null; // Handed out by the Simulation, in spawn order
+    this.type = type;
+    this.team = team;
+    this.teamColor = null; // Outline color when fighting in a team battle
+    this.x = x;
+    this.y = y;
+    this.prevX = x; // Position at the start of the current tick, for render interpolation
+    this.prevY = y;
+    this.config = config;
+    this.tactics = tacticsFor(config); // Targeting policy and steering stack, see behaviours.js
+    this.hp = this.config.hp;
+    this.cooldown = 0;
+    this.alive = true;
+    this.heading = rng() * Math.PI * 2;
+    this.evadeDirection = 0; // For triangles to dodge
+    this.evadeTimer = 0; // Seconds left of the last dodge, set by evade steering
+    this.lastHitDirX = 0; // For stick-and-move: direction of the last melee hit
+    this.lastHitDirY = 0;
+    this.wantRetreat = 0; // Frames of retreat/sidestep behavior after a hit
+    this.target = null; // Enemy picked on the last update
+    this.patient = null; // Ally being healed on the last update
+    this.kills = 0;
+    this.abilityCooldowns = {}; // Seconds until each active ability is ready again
+    this.effects = new Map(); // Status effect name -> { remaining, source }, see abilities.js
+  }
+
+  distanceTo(other) {
+    const dx = other.x - this.x;
+    const dy = other.y - this.y;
+    return Math.hypot(dx, dy);
+  }
+
+  // Allegiance follows the team. In a free-for-all each type is its own team.
+  isEnemy(other) {
+    return other !== this && other.alive && other.team !== this.team;
+  }
+
+  isAlly(other) {
+    return other !== this && other.alive && other.team === this.team;
+  }
+
+  // Whichever enemy the type's targeting policy picks
+  findTarget(sim) {
+    return this.tactics.pickTarget(this, sim);
+  }
+
+  // Healers look for the closest injured ally to patch up.
+  findPatient(sim) {
+    return sim.teamGrid(this.team).nearest(
+      this.x,
+      this.y,
+      (ally) => this.isAlly(ally) && ally.hp < ally.config.hp
+    );
+  }
+
+  // attacker is the Warrior that dealt the blow (for projectiles, the one who
+  // fired it), credited in the battle tallies
+  takeDamage(amount, sim, attacker = null) {
+    for (const name of this.effects.keys()) {
+      amount *= STATUS_EFFECTS[name].damageTaken ?? 1;
+    }
+    const dealt = Math.min(amount, Math.max(0, this.hp));
+    this.hp -= amount;
+    const killed = this.hp <= 0;
+    sim.recordDamage(attacker?.type ?? null, this.type, dealt, killed);
+    if (killed) {
+      if (attacker) {
+        attacker.kills += 1;
+      }
+      this.alive = false;
+      sim.emit({ kind: "death", type: this.type, team: this.team, x: this.x, y: this.y });
+    } else if (amount > 0) {
+      triggerAbilities(this, "onHurt", attacker, sim);
+    }
+  }
+
+  // Put a status effect on, or stretch one already on to the longer duration.
+  // source is the Warrior responsible, credited with any damage it does.
+  applyEffect(name, duration, source = null) {
+    const current = this.effects.get(name);
+    if (!current || current.remaining < duration) {
+      this.effects.set(name, { remaining: duration, source });
+    }
+  }
+
+  hasEffect(name) {
+    return this.effects.has(name);
+  }
+
+  // Run down status effects and ability cooldowns, and let burns do their
+  // damage
+  tickEffects(dt, sim) {
+    for (const [name, effect] of this.effects) {
+      const { damagePerSecond } = STATUS_EFFECTS[name];
+      if (damagePerSecond) {
+        this.takeDamage(damagePerSecond * dt, sim, effect.source);
+      }
+      effect.remaining -= dt;
+      if (effect.remaining <= 0) {
+        this.effects.delete(name);
+      }
+    }
+    for (const ability of Object.keys(this.abilityCooldowns)) {
+      this.abilityCooldowns[ability] = Math.max(0, this.abilityCooldowns[ability] - dt);
+    }
+  }
+
+  // Obstacles first, then the outline, so nobody gets shoved through the edge
+  clampInsideArena(arena) {
+    pushOutOfObstacles(arena, this, this.config.size);
+    clampToArena(arena, this, this.config.size);
+  }
+
+  // Step along a unit direction at full speed (or the throttle share of it),
+  // slowed by terrain underfoot and bent around any obstacle in the way.
+  moveAlong(dirX, dirY, dt, sim, throttle = 1) {
+    const { arena } = sim;
+    const steer = steerAround(arena, this.x, this.y, dirX, dirY, this.config.size, this.config.size + 40);
+    if (steer) {
+      dirX = steer.x;
+      dirY = steer.y;
+    }
+    let speed = this.config.speed * throttle * dt * terrainFactor(arena, this.x, this.y);
+    for (const name of this.effects.keys()) {
+      speed *= STATUS_EFFECTS[name].speed ?? 1;
+    }
+    this.x += dirX * speed;
+    this.y += dirY * speed;
+    this.clampInsideArena(arena);
+  }
+
+  attemptAttack(target, sim) {
+    if (!target || !target.alive || this.cooldown > 0) {
+      return;
+    }
+    const distance = this.distanceTo(target);
+    if (this.config.archetype === "ranged") {
+      if (distance <= this.config.range && sim.canSee(this, target)) {
+        const shot = sim.fireProjectile(this, target);
+        this.cooldown = this.config.cooldown;
+        triggerAbilities(this, "onFire", shot, sim);
+      }
+      return;
+    }
+
+    // For melee units, check if we're close enough to connect a hit.
+    // Use the larger of attack range and combined sizes so they can hit when touching.
+    const minDistance = this.config.size + target.config.size;
+    const meleeReach = Math.max(this.config.range, minDistance);
+    if (distance <= meleeReach) {
+      target.takeDamage(sim.hitDamage(this.type, target, this.config.damage, false), sim, this);
+      this.cooldown = this.config.cooldown;
+      sim.emit({ kind: "hit", x: target.x, y: target.y });
+      for (const behaviour of this.tactics.steering) {
+        behaviour.onHit?.(this, target);
+      }
+      if (target.alive) {
+        triggerAbilities(this, "onMeleeHit", target, sim);
+        triggerAbilities(this, "onHit", target, sim);
+      }
+    }
+  }
+
+  update(dt, sim) {
+    if (!this.alive) {
+      return;
+    }
+
+    this.cooldown = Math.max(0, this.cooldown - dt);
+    // Decay any post-hit retreat/sidestep behavior
+    if (this.wantRetreat > 0) {
+      this.wantRetreat = Math.max(0, this.wantRetreat - dt);
+    }
+    this.evadeTimer = Math.max(0, this.evadeTimer - dt);
+    this.tickEffects(dt, sim);
+    if (!this.alive || this.hasEffect("stun")) {
+      return;
+    }
+    const decision = sim.decisionFor(this);
+    if (decision) {
+      this.followScript(decision, dt, sim);
+      return;
+    }
+
+    const target = this.findTarget(sim);
+    this.target = target;
+    this.patient = null;
+    if (!target) {
+      return;
+    }
+
+    if (this.config.archetype === "healer" && this.config.heal > 0 && this.tendToPatient(dt, sim)) {
+      return;
+    }
+
+    triggerAbilities(this, "onTurn", target, sim);
+    const plan = planMove(this, target, this.tactics.steering, sim);
+    this.turnToward(Math.atan2(plan.dirY, plan.dirX), plan.turnRate * dt);
+    if (plan.move) {
+      this.moveAlong(plan.dirX, plan.dirY, dt, sim);
+    }
+
+    this.attemptAttack(target, sim);
+  }
+
+  // Scripted turn (see scripting.js): head where the script says and strike
+  // the enemy it named, if that is still a living enemy
+  followScript({ move, target }, dt, sim) {
+    const enemy = target === null ? null : sim.warriorById(target);
+    this.target = enemy && this.isEnemy(enemy) ? enemy : null;
+    this.patient = null;
+    const length = move ? Math.hypot(move.x, move.y) : 0;
+    if (length > 0) {
+      this.heading = Math.atan2(move.y, move.x);
+      this.moveAlong(move.x / length, move.y / length, dt, sim, Math.min(1, length));
+    } else if (this.target) {
+      this.heading = Math.atan2(this.target.y - this.y, this.target.x - this.x);
+    }
+    this.attemptAttack(this.target, sim);
+  }
+
+  // Turn by at most maxTurn radians, so kiters don't jitter on the spot
+  turnToward(heading, maxTurn) {
+    let angleDiff = heading - this.heading;
+    // Normalize angle difference to [-PI, PI]
+    while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+    while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+    if (Math.abs(angleDiff) > maxTurn) {
+      this.heading += Math.sign(angleDiff) * maxTurn;
+    } else {
+      this.heading = heading;
+    }
+  }
+
+  // Healer turn: walk to the closest injured ally and heal it once in range.
+  // Returns false when nobody needs healing so the healer fights instead.
+  tendToPatient(dt, sim) {
+    const patient = this.findPatient(sim);
+    if (!patient) {
+      return false;
+    }
+    this.patient = patient;
+    const dx = patient.x - this.x;
+    const dy = patient.y - this.y;
+    const dist = Math.hypot(dx, dy) || 1;
+    const reach = Math.max(this.config.range, this.config.size + patient.config.size);
+    this.heading = Math.atan2(dy, dx);
+    if (dist > reach * 0.8) {
+      this.moveAlong(dx / dist, dy / dist, dt, sim);
+    }
+    if (this.cooldown === 0 && this.distanceTo(patient) <= reach) {
+      patient.hp = Math.min(patient.config.hp, patient.hp + this.config.heal);
+      this.cooldown = this.config.cooldown;
+      sim.emit({ kind: "heal", x: patient.x, y: patient.y });
+    }
+    return true;
+  }
+}
+
+export class Projectile {
+  constructor(owner, target) {
+    this.owner = owner;
+    this.ownerType = owner.type;
+    this.ownerTeam = owner.team;
+    this.damage = owner.config.damage;
+    this.x = owner.x;
+    this.y = owner.y;
+    this.prevX = owner.x;
+    this.prevY = owner.y;
+    const dx = target.x - owner.x;
+    const dy = target.y - owner.y;
+    const dist = Math.hypot(dx, dy) || 1;
+    const speed = 260;
+    this.vx = (dx / dist) * speed;
+    this.vy = (dy / dist) * speed;
+    this.life = 0;
+    this.maxLife = 3.5;
+    this.alive = true;
+    this.radius = PROJECTILE_RADIUS;
+    this.pierce = 0; // Further enemies it may pass through (piercing-shot)
+    this.splash = null; // { radius, share, burn } when it bursts on impact (splash-shot)
+    this.struck = new Set(); // Enemies already hit, so a piercing shot hits each once
+  }
+
+  update(dt, sim) {
+    this.life += dt;
+    if (this.life >= this.maxLife) {
+      this.alive = false;
+      return;
+    }
+
+    const fromX = this.x;
+    const fromY = this.y;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+
+    // Shots die at the arena edge and against walls and pillars
+    if (
+      !insideArena(sim.arena, this.x, this.y) ||
+      !hasLineOfSight(sim.arena, fromX, fromY, this.x, this.y, this.radius)
+    ) {
+      this.alive = false;
+      return;
+    }
+
+    sim.warriorGrid.forEachNear(this.x, this.y, this.radius + sim.maxUnitSize, (enemy) => {
+      if (!enemy.alive || enemy.team === this.ownerTeam || this.struck.has(enemy)) {
+        return false;
+      }
+      const dist = Math.hypot(enemy.x - this.x, enemy.y - this.y);
+      if (dist <= enemy.config.size + this.radius) {
+        enemy.takeDamage(sim.hitDamage(this.ownerType, enemy, this.damage, true), sim, this.owner);
+        sim.emit({ kind: "hit", x: this.x, y: this.y });
+        if (enemy.alive) {
+          triggerAbilities(this.owner, "onHit", enemy, sim);
+        }
+        if (this.splash) {
+          this.burst(enemy, sim);
+        }
+        if (this.pierce > 0) {
+          this.pierce -= 1;
+          this.struck.add(enemy);
+          return false;
+        }
+        this.alive = false;
+        return true;
+      }
+      return false;
+    });
+  }
+
+  // Splash shots burst on their first hit: everyone else close by takes a
+  // share of the damage, and whoever survives the blast is set alight
+  burst(struck, sim) {
+    const { radius, share, burn } = this.splash;
+    this.splash = null;
+    sim.emit({ kind: "burst", x: this.x, y: this.y, radius });
+    if (struck.alive) {
+      struck.applyEffect("burn", burn, this.owner);
+    }
+    sim.warriorGrid.forEachNear(this.x, this.y, radius + sim.maxUnitSize, (enemy) => {
+      if (enemy === struck || !enemy.alive || enemy.team === this.ownerTeam) {
+        return false;
+      }
+      if (Math.hypot(enemy.x - this.x, enemy.y - this.y) > radius + enemy.config.size) {
+        return false;
+      }
+      enemy.takeDamage(sim.hitDamage(this.ownerType, enemy, this.damage * share, true), sim, this.owner);
+      if (enemy.alive) {
+        enemy.applyEffect("burn", burn, this.owner);
+      }
+      return false;
+    });
+  }
+}
+
+function isLiving(unit) {
+  return unit.alive;
+}
+
+function isPositionValid(x, y, grid, minDistance) {
+  let valid = true;
+  grid.forEachNear(x, y, minDistance, (warrior) => {
+    if (Math.hypot(warrior.x - x, warrior.y - y) < minDistance) {
+      valid = false;
+      return true;
+    }
+    return false;
+  });
+  return valid;
+}
+
+export class Simulation {
+  // layout is one of LAYOUTS. "placed" spawns exactly the { type, team, x, y }
+  // units in placed (team is the type id in a free-for-all) and ignores counts.
+  // map, when given, reshapes the arena (which then only supplies the size).
+  // matchups scales the damage one type deals another (matchups.js).
+  constructor({
+    counts = {},
+    teams,
+    arena = createArena(),
+    seed = randomSeed(),
+    types = TYPE_CONFIG,
+    layout = "scatter",
+    placed = [],
+    map,
+    matchups = {},
+    scripted = [],
+  } = {}) {
+    this.arena = map ? createArena(arena.width, arena.height, map) : arena;
+    // Snapshot the registry so editing unit types mid-battle can't corrupt it
+    this.types = { ...types };
+    // Type-vs-type damage multipliers, see matchups.js (not to be confused
+    // with the matchups tally of damage actually dealt)
+    this.damageMatchups = matchups;
+    this.teamMode = Boolean(teams);
+    this.teams = resolveTeams({ counts, teams }, this.types).map((team) => ({
+      ...team,
+      counts: { ...team.counts },
+    }));
+    this.layout = layout;
+    this.placed = [];
+    if (layout === "placed") {
+      // Hand-placed units define the armies, so the counts follow them
+      this.teams.forEach((team) => {
+        team.counts = {};
+      });
+      for (const unit of placed) {
+        const team = this.teamById(unit.team);
+        if (team && this.types[unit.type]) {
+          team.counts[unit.type] = (team.counts[unit.type] ?? 0) + 1;
+          this.placed.push(unit);
+        }
+      }
+    }
+    this.seed = seed;
+    this.rng = createRng(seed);
+    this.warriors = [];
+    this.warriorsById = new Map();
+    this.projectiles = [];
+    // Types whose units follow a script, and the script's answers for the
+    // coming tick ({ [unit id]: { move, target } }), see scripting.js
+    this.scripted = new Set(scripted);
+    this.decisions = null;
+    this.warriorGrid = new SpatialGrid(arena.width, arena.height);
+    this.projectileGrid = new SpatialGrid(arena.width, arena.height);
+    // Scratch for resolveCollisions()
+    this.bodies = { sizes: new Float64Array(0), masses: new Float64Array(0) };
+    // The same units again, one grid per team, so searches for enemies or
+    // allies skip the other side however densely a crowd is packed. Only
+    // filed at the start of a tick, for the warrior pass.
+    this.teamGrids = new Map();
+    this.nearby = []; // Reused by enemiesNear()
+    this.maxUnitSize = Math.max(0, ...Object.values(types).map((config) => config.size));
+    this.maxUnitSpeed = Math.max(0, ...Object.values(types).map((config) => config.speed * topSpeedFactor(config)));
+    this.events = [];
+    // Running totals per type ({ dealt, taken, kills }) and per attacker and
+    // victim type pair ({ damage, kills }); damage counts HP actually lost.
+    this.tally = {};
+    this.matchups = {};
+    for (const type of Object.keys(this.types)) {
+      this.tally[type] = { dealt: 0, taken: 0, kills: 0 };
+      this.matchups[type] = {};
+      for (const victim of Object.keys(this.types)) {
+        this.matchups[type][victim] = { damage: 0, kills: 0 };
+      }
+    }
+    this.time = 0;
+    this.finished = false;
+    this.winner = null;
+    this.seedWarriors();
+    this.checkVictory();
+  }
+
+  randomPoint() {
+    const { center, radius } = this.arena;
+    if (this.arena.shape === "rectangle") {
+      const { halfWidth, halfHeight } = this.arena;
+      return {
+        x: center.x + (this.rng() * 2 - 1) * (halfWidth - 50),
+        y: center.y + (this.rng() * 2 - 1) * (halfHeight - 50),
+      };
+    }
+    const theta = this.rng() * Math.PI * 2;
+    const r = this.rng() ** 0.5 * (radius - 50);
+    return {
+      x: center.x + Math.cos(theta) * r,
+      y: center.y + Math.sin(theta) * r,
+    };
+  }
+
+  seedWarriors() {
+    if (this.layout === "placed") {
+      for (const { type, team, x, y } of this.placed) {
+        this.spawnWarrior(this.teamById(team), type, this.freePointNear(x, y));
+      }
+      return;
+    }
+    // Sides that actually field units share the arena between them
+    const sides = this.teams.filter((team) => Object.values(team.counts).some((count) => count > 0));
+    sides.forEach((team, index) => {
+      const types = Object.keys(this.types).filter((type) => (team.counts[type] ?? 0) > 0);
+      if (FORMATIONS.includes(this.layout)) {
+        this.seedFormation(team, types, index, sides.length);
+        return;
+      }
+      const pickPoint = this.layout === "sectors"
+        ? () => sectorPoint(this.arena, index, sides.length, this.rng)
+        : () => this.randomPoint();
+      for (const type of types) {
+        for (let i = 0; i < team.counts[type]; i += 1) {
+          this.spawnWarrior(team, type, this.findSpawnPoint(pickPoint, i));
+        }
+      }
+    });
+  }
+
+  // Keep drawing candidate points until one respects SPAWN_SPACING
+  findSpawnPoint(pickPoint, i) {
+    let attempts = 0;
+    let point;
+    let foundValid = false;
+
+    // Try to find a valid position
+    do {
+      point = pickPoint();
+      attempts++;
+      if (this.isSpawnable(point.x, point.y)) {
+        foundValid = true;
+      }
+    } while (!foundValid && attempts < 250);
+
+    // If we couldn't find a valid position after max attempts, add fallback jitter
+    if (!foundValid) {
+      // Apply a small offset based on index to ensure warriors don't spawn at exactly the same spot
+      const angle = (i * 137.5) % 360; // Golden angle for better distribution
+      const offset = (i % 5 + 1) * 3; // 3-15 pixels offset
+      point.x += Math.cos(angle * Math.PI / 180) * offset;
+      point.y += Math.sin(angle * Math.PI / 180) * offset;
+    }
+    return point;
+  }
+
+  // Formation slots and hand-placed units want an exact spot; if it's taken,
+  // spiral outwards to the closest one that respects SPAWN_SPACING.
+  freePointNear(x, y) {
+    if (this.isSpawnable(x, y)) {
+      return { x, y };
+    }
+    for (let ring = 1; ring <= 12; ring += 1) {
+      const distance = ring * SPAWN_SPACING * 0.5;
+      const steps = ring * 6;
+      for (let step = 0; step < steps; step += 1) {
+        const angle = (step / steps) * Math.PI * 2;
+        const px = x + Math.cos(angle) * distance;
+        const py = y + Math.sin(angle) * distance;
+        if (this.isSpawnable(px, py)) {
+          return { x: px, y: py };
+        }
+      }
+    }
+    return { x, y };
+  }
+
+  // Open ground with SPAWN_SPACING to everyone already placed
+  isSpawnable(x, y) {
+    return isOpenGround(this.arena, x, y, SPAWN_MARGIN) && isPositionValid(x, y, this.warriorGrid, SPAWN_SPACING);
+  }
+
+  seedFormation(team, types, index, sideCount) {
+    const anchor = sideAnchor(this.arena, index, sideCount);
+    const ranked = types
+      .flatMap((type) => Array.from({ length: team.counts[type] }, () => type))
+      .sort((a, b) => frontRank(this.types[a]) - frontRank(this.types[b]));
+    const slots = formationSlots(this.layout, ranked.length, SPAWN_SPACING + 4);
+    ranked.forEach((type, i) => {
+      const target = slotToWorld(anchor, slots[i]);
+      this.spawnWarrior(team, type, this.freePointNear(target.x, target.y));
+    });
+  }
+
+  teamById(id) {
+    return this.teams.find((team) => team.id === id);
+  }
+
+  spawnWarrior(team, type, point) {
+    // Add tiny random jitter (1-3 pixels) to all positions to prevent exact overlaps
+    const jitterX = (this.rng() - 0.5) * 4;
+    const jitterY = (this.rng() - 0.5) * 4;
+    point.x += jitterX;
+    point.y += jitterY;
+
+    // Ensure the point is still within arena bounds and out of the walls
+    pushOutOfObstacles(this.arena, point, SPAWN_MARGIN);
+    clampToArena(this.arena, point, SPAWN_MARGIN);
+
+    const warrior = new Warrior(type, point.x, point.y, this.rng, this.types[type], team.id);
+    warrior.id = this.warriorsById.size;
+    if (this.teamMode) {
+      warrior.teamColor = team.color;
+    }
+    this.warriors.push(warrior);
+    this.warriorsById.set(warrior.id, warrior);
+    this.warriorGrid.insert(warrior);
+    return warrior;
+  }
+
+  warriorById(id) {
+    return this.warriorsById.get(id) ?? null;
+  }
+
+  // The grid of one team's units, as filed at the start of the tick
+  teamGrid(team) {
+    let grid = this.teamGrids.get(team);
+    if (!grid) {
+      grid = new SpatialGrid(this.arena.width, this.arena.height);
+      this.teamGrids.set(team, grid);
+    }
+    return grid;
+  }
+
+  rebuildTeamGrids(slack) {
+    const members = new Map();
+    for (const warrior of this.warriors) {
+      if (!members.has(warrior.team)) {
+        members.set(warrior.team, []);
+      }
+      members.get(warrior.team).push(warrior);
+    }
+    for (const team of members.keys()) {
+      this.teamGrid(team);
+    }
+    for (const [team, grid] of this.teamGrids) {
+      grid.rebuild(members.get(team) ?? [], slack);
+    }
+  }
+
+  // The closest unit to (x, y) hostile to warrior that accept allows. Only
+  // other teams' grids are searched, so by default being alive is enough.
+  nearestEnemy(warrior, x = warrior.x, y = warrior.y, accept = isLiving) {
+    let best = null;
+    let bestDistance = Number.POSITIVE_INFINITY;
+    for (const [team, grid] of this.teamGrids) {
+      if (team === warrior.team) continue;
+      const candidate = grid.nearest(x, y, accept, bestDistance);
+      if (candidate) {
+        best = candidate;
+        bestDistance = Math.hypot(candidate.x - x, candidate.y - y);
+      }
+    }
+    return best;
+  }
+
+  // Every unit of another team filed in cells near (x, y), as
+  // SpatialGrid.near() gathers them. The list is reused by the next call.
+  enemiesNear(warrior, x, y, radius) {
+    const found = this.nearby;
+    found.length = 0;
+    for (const [team, grid] of this.teamGrids) {
+      if (team !== warrior.team) {
+        grid.near(x, y, radius, found);
+      }
+    }
+    return found;
+  }
+
+  // Hand in the script's answers for the next step, or null to let scripted
+  // units fall back on their type's own tactics
+  setDecisions(decisions) {
+    this.decisions = decisions;
+  }
+
+  // The script's answer for a unit this tick, or null when it thinks for
+  // itself
+  decisionFor(warrior) {
+    if (!this.decisions || !this.scripted.has(warrior.type)) {
+      return null;
+    }
+    return this.decisions[warrior.id] ?? null;
+  }
+
+  emit(event) {
+    this.events.push(event);
+  }
+
+  // Hand back everything that happened since the last drain (hits, deaths)
+  // so a renderer can turn it into effects and sounds.
+  drainEvents() {
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+
+  // Clear shot from one unit to another, judged for a projectile's width
+  canSee(from, to) {
+    return hasLineOfSight(this.arena, from.x, from.y, to.x, to.y, PROJECTILE_RADIUS);
+  }
+
+  recordDamage(sourceType, victimType, amount, killed) {
+    this.tally[victimType].taken += amount;
+    if (!sourceType) {
+      return;
+    }
+    this.tally[sourceType].dealt += amount;
+    this.matchups[sourceType][victimType].damage += amount;
+    if (killed) {
+      this.tally[sourceType].kills += 1;
+      this.matchups[sourceType][victimType].kills += 1;
+    }
+  }
+
+  // What a blow or shot of the given strength from a unit of attackerType
+  // really does to target: scaled by the matchup between the two types, then
+  // cut by the target's armor (melee) or resistance (projectiles)
+  hitDamage(attackerType, target, amount, ranged) {
+    const reduction = ranged ? target.config.resistance : target.config.armor;
+    return amount * matchupMultiplier(this.damageMatchups, attackerType, target.type) * (1 - reduction / 100);
+  }
+
+  fireProjectile(shooter, target) {
+    const shot = new Projectile(shooter, target);
+    this.projectiles.push(shot);
+    return shot;
+  }
+
+  countAlive() {
+    const aliveCounts = {};
+    for (const type of Object.keys(this.types)) {
+      aliveCounts[type] = 0;
+    }
+    for (const warrior of this.warriors) {
+      if (warrior.alive) {
+        aliveCounts[warrior.type] += 1;
+      }
+    }
+    return aliveCounts;
+  }
+
+  // Living units per team, broken down by type
+  countAliveByTeam() {
+    const aliveCounts = {};
+    for (const team of this.teams) {
+      aliveCounts[team.id] = {};
+      for (const type of Object.keys(this.types)) {
+        aliveCounts[team.id][type] = 0;
+      }
+    }
+    for (const warrior of this.warriors) {
+      if (warrior.alive) {
+        aliveCounts[warrior.team][warrior.type] += 1;
+      }
+    }
+    return aliveCounts;
+  }
+
+  checkVictory() {
+    const livingTeams = Object.entries(this.survivors).filter(([, count]) => count > 0);
+    if (livingTeams.length <= 1) {
+      this.finished = true;
+      this.winner = livingTeams.length === 1 ? livingTeams[0][0] : null;
+    }
+    return this.finished;
+  }
+
+  // The winning team's { id, name, color, counts }, or null while undecided
+  // or after a mutual wipe.
+  get winningTeam() {
+    return this.teams.find((team) => team.id === this.winner) ?? null;
+  }
+
+  step(dt) {
+    if (this.finished) {
+      return;
+    }
+    for (const body of [...this.warriors, ...this.projectiles]) {
+      body.prevX = body.x;
+      body.prevY = body.y;
+    }
+    // Units move while the warrior pass runs, so the grid tolerates one tick of
+    // drift at top speed. Projectiles only move afterwards and need no slack.
+    this.warriorGrid.rebuild(this.warriors, this.maxUnitSpeed * dt);
+    this.rebuildTeamGrids(this.maxUnitSpeed * dt);
+    this.projectileGrid.rebuild(this.projectiles);
+    for (const warrior of this.warriors) {
+      warrior.update(dt, this);
+    }
+    this.resolveCollisions();
+    this.warriorGrid.rebuild(this.warriors);
+    this.projectiles.forEach((projectile) => projectile.update(dt, this));
+    this.projectiles = this.projectiles.filter((projectile) => projectile.alive);
+    this.warriors = this.warriors.filter((warrior) => warrior.alive);
+    this.time += dt;
+    this.checkVictory();
+  }
+
+  // Units are solid discs. Every overlapping pair is pushed apart, the lighter
+  // unit giving way more, so crowds form lines instead of one stacked blob.
+  // Each unit only moves itself by its share, so visiting both sides of a
+  // pair separates it fully. This is the hottest loop in a big battle, so it
+  // reads positions straight from the grid's flat arrays (see SpatialGrid)
+  // and writes every push back there for the units still to come.
+  resolveCollisions() {
+    const grid = this.warriorGrid;
+    grid.rebuild(this.warriors);
+    const { sorted, slots, xs, ys, cols, rows } = grid;
+    // Sizes and masses in the grid's order too, with the dead weighing nothing
+    if (this.bodies.sizes.length < sorted.length) {
+      this.bodies = { sizes: new Float64Array(sorted.length * 2), masses: new Float64Array(sorted.length * 2) };
+    }
+    const { sizes, masses } = this.bodies;
+    for (let k = 0; k < sorted.length; k += 1) {
+      sizes[k] = sorted[k].config.size;
+      masses[k] = sorted[k].alive ? sorted[k].config.mass : 0;
+    }
+    for (let i = 0; i < this.warriors.length; i += 1) {
+      const warrior = this.warriors[i];
+      if (!warrior.alive) continue;
+      const self = slots[i];
+      const { size, mass } = warrior.config;
+      const x = xs[self];
+      const y = ys[self];
+      const reach = size + this.maxUnitSize;
+      const minCol = grid.cellCoord(x - reach, cols);
+      const maxCol = grid.cellCoord(x + reach, cols);
+      const minRow = grid.cellCoord(y - reach, rows);
+      const maxRow = grid.cellCoord(y + reach, rows);
+      let pushX = 0;
+      let pushY = 0;
+      for (let row = minRow; row <= maxRow; row += 1) {
+        const end = grid.runStart(row, maxCol + 1);
+        for (let k = grid.runStart(row, minCol); k < end; k += 1) {
+          if (k === self || masses[k] === 0) continue;
+          const minDist = size + sizes[k];
+          let dx = x - xs[k];
+          let dy = y - ys[k];
+          const squared = dx * dx + dy * dy;
+          if (squared >= minDist * minDist) continue;
+          let dist = Math.sqrt(squared);
+          if (dist === 0) {
+            // Exactly stacked: each one steps out the way it faces
+            dx = Math.cos(warrior.heading);
+            dy = Math.sin(warrior.heading);
+            dist = 1;
+          }
+          const share = masses[k] / (mass + masses[k]);
+          pushX += (dx / dist) * (minDist - dist) * share;
+          pushY += (dy / dist) * (minDist - dist) * share;
+        }
+      }
+      if (pushX !== 0 || pushY !== 0) {
+        warrior.x += pushX;
+        warrior.y += pushY;
+        warrior.clampInsideArena(this.arena);
+        xs[self] = warrior.x;
+        ys[self] = warrior.y;
+      }
+    }
+  }
+
+  // Living units per team. In a free-for-all team ids are the type ids.
+  get survivors() {
+    const totals = {};
+    for (const team of this.teams) {
+      totals[team.id] = 0;
+    }
+    for (const warrior of this.warriors) {
+      if (warrior.alive) {
+        totals[warrior.team] += 1;
+      }
+    }
+    return totals;
+  }
+}
+
+// Convenience for scripts: run a whole battle without rendering and report
+// how it ended. maxTime guards against stalemates that never resolve. Pass
+// teams to fight a team battle; counts is ignored then. layout, placed, map
+// and matchups work as in Simulation.
+export function runBattle(
+  counts,
+  { dt = FIXED_DT, maxTime = 600, arena, seed, types, teams, layout, placed, map, matchups } = {}
+) {
+  const sim = new Simulation({ counts, teams, arena, seed, types, layout, placed, map, matchups });
+  while (!sim.finished && sim.time < maxTime) {
+    sim.step(dt);
+    sim.events.length = 0;
+  }
+  return {
+    seed: sim.seed,
+    winner: sim.winner,
+    finished: sim.finished,
+    duration: sim.time,
+    survivors: sim.survivors,
+  };
+}
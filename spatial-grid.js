@@ -0,0 +1,262 @@
+// Uniform grid over the arena's bounding box. The simulation rebuilds one per
+// tick so neighbour queries only touch nearby cells instead of every unit.
+// Items are kept sorted by cell in one flat list: cell i holds
+// sorted[start[i]] up to sorted[start[i + 1]], so a row of neighbouring cells
+// is one contiguous run to scan rather than a list per cell.
+
+const SPARSE_LIMIT = 64;
+// Items insert() holds back from the sort, which every query scans one by one
+const PENDING_LIMIT = 16;
+
+export class SpatialGrid {
+  constructor(width, height, cellSize = 32) {
+    this.cellSize = cellSize;
+    this.cols = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    this.items = [];
+    this.sorted = [];
+    this.start = new Int32Array(this.cols * this.rows + 1);
+    // Where each of items landed in sorted, and the position it was filed at,
+    // by sorted index. The collision pass reads positions from here and keeps
+    // them up to date as it pushes units apart.
+    this.slots = new Int32Array(0);
+    this.xs = new Float64Array(0);
+    this.ys = new Float64Array(0);
+    // Items inserted one by one since the last sort, which queries scan
+    // separately until enough pile up to be worth sorting in
+    this.pending = [];
+    // Cell range the sorted items span, so nearest() skips the empty rings
+    // around an army that is still far away
+    this.bounds = { minCol: this.cols, maxCol: -1, minRow: this.rows, maxRow: -1 };
+    // How far an item may have drifted from the cell it was filed under since
+    // the last rebuild. Queries widen their search by this much.
+    this.slack = 0;
+    // Running best of the nearest() search under way
+    this.best = null;
+    this.bestDistance = 0;
+  }
+
+  cellCoord(value, count) {
+    return Math.min(count - 1, Math.max(0, Math.floor(value / this.cellSize)));
+  }
+
+  clear() {
+    this.items.length = 0;
+    this.sort();
+  }
+
+  // Files one more item. Spawning fills a grid this way one unit at a time,
+  // checking for room before each, so re-sorting on every insert would make
+  // a big army's spawn quadratic.
+  insert(item) {
+    this.items.push(item);
+    this.pending.push(item);
+    if (this.pending.length >= PENDING_LIMIT) {
+      this.sort();
+    }
+  }
+
+  rebuild(items, slack = 0) {
+    this.items.length = 0;
+    for (const item of items) {
+      this.items.push(item);
+    }
+    this.slack = slack;
+    this.sort();
+  }
+
+  // Counting sort by cell, which keeps items in insertion order within a cell
+  sort() {
+    const { items, start, cols, rows } = this;
+    const count = items.length;
+    if (this.slots.length < count) {
+      const capacity = Math.max(count, this.slots.length * 2);
+      this.slots = new Int32Array(capacity);
+      this.xs = new Float64Array(capacity);
+      this.ys = new Float64Array(capacity);
+    }
+    const { slots, xs, ys, sorted } = this;
+    const bounds = { minCol: cols, maxCol: -1, minRow: rows, maxRow: -1 };
+    start.fill(0);
+    for (let i = 0; i < count; i += 1) {
+      const col = this.cellCoord(items[i].x, cols);
+      const row = this.cellCoord(items[i].y, rows);
+      bounds.minCol = Math.min(bounds.minCol, col);
+      bounds.maxCol = Math.max(bounds.maxCol, col);
+      bounds.minRow = Math.min(bounds.minRow, row);
+      bounds.maxRow = Math.max(bounds.maxRow, row);
+      // Park the cell in slots until the counts are in
+      slots[i] = row * cols + col;
+      start[slots[i] + 1] += 1;
+    }
+    for (let cell = 1; cell < start.length; cell += 1) {
+      start[cell] += start[cell - 1];
+    }
+    sorted.length = count;
+    for (let i = 0; i < count; i += 1) {
+      const item = items[i];
+      const slot = start[slots[i]];
+      start[slots[i]] += 1;
+      slots[i] = slot;
+      sorted[slot] = item;
+      xs[slot] = item.x;
+      ys[slot] = item.y;
+    }
+    // Placing moved every cell's start up to the next one's; shift them back
+    start.copyWithin(1, 0, start.length - 1);
+    start[0] = 0;
+    this.bounds = bounds;
+    this.pending.length = 0;
+  }
+
+  // Where the run of cells from fromCol to toCol in one row sits in sorted:
+  // indexes from runStart(row, fromCol) up to runStart(row, toCol + 1). For
+  // scans too hot to pay a callback per item.
+  runStart(row, col) {
+    if (this.pending.length > 0) this.sort();
+    return this.start[row * this.cols + col];
+  }
+
+  // Calls visit(item) for everything filed in cells overlapping the circle.
+  // Callers still do their own exact distance check. Returning true from
+  // visit stops the search early, and makes this return true.
+  forEachNear(x, y, radius, visit) {
+    const { start, sorted, cols } = this;
+    const reach = radius + this.slack;
+    const minCol = this.cellCoord(x - reach, cols);
+    const maxCol = this.cellCoord(x + reach, cols);
+    const minRow = this.cellCoord(y - reach, this.rows);
+    const maxRow = this.cellCoord(y + reach, this.rows);
+    for (let row = minRow; row <= maxRow; row += 1) {
+      const end = start[row * cols + maxCol + 1];
+      for (let i = start[row * cols + minCol]; i < end; i += 1) {
+        if (visit(sorted[i])) {
+          return true;
+        }
+      }
+    }
+    for (const item of this.pending) {
+      const col = this.cellCoord(item.x, cols);
+      const row = this.cellCoord(item.y, this.rows);
+      if (col >= minCol && col <= maxCol && row >= minRow && row <= maxRow && visit(item)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Appends to found everything forEachNear would visit, in the same order,
+  // and returns it. Hot per-unit scans loop over that instead of paying a
+  // callback per item.
+  near(x, y, radius, found = []) {
+    const { start, sorted, cols } = this;
+    const reach = radius + this.slack;
+    const minCol = this.cellCoord(x - reach, cols);
+    const maxCol = this.cellCoord(x + reach, cols);
+    const minRow = this.cellCoord(y - reach, this.rows);
+    const maxRow = this.cellCoord(y + reach, this.rows);
+    for (let row = minRow; row <= maxRow; row += 1) {
+      const end = start[row * cols + maxCol + 1];
+      for (let i = start[row * cols + minCol]; i < end; i += 1) {
+        found.push(sorted[i]);
+      }
+    }
+    for (const item of this.pending) {
+      const col = this.cellCoord(item.x, cols);
+      const row = this.cellCoord(item.y, this.rows);
+      if (col >= minCol && col <= maxCol && row >= minRow && row <= maxRow) {
+        found.push(item);
+      }
+    }
+    return found;
+  }
+
+  // Closest item accepted by the predicate, searching outward ring by ring
+  // and stopping once no unvisited cell could hold anything closer. A sparse
+  // grid is cheaper to scan flat than ring by ring. Items no closer than
+  // within are ignored, which lets a search over several grids stop early.
+  nearest(x, y, accept, within = Number.POSITIVE_INFINITY) {
+    if (this.items.length === 0) {
+      return null;
+    }
+    if (this.items.length < SPARSE_LIMIT) {
+      return this.nearestLinear(x, y, accept, within);
+    }
+    const { cols } = this;
+    const col = this.cellCoord(x, cols);
+    const row = this.cellCoord(y, this.rows);
+    // Only the rings that cross the occupied range can hold anything, and
+    // only their cells inside it need a look
+    const { minCol, maxCol, minRow, maxRow } = this.bounds;
+    const firstRing = Math.max(0, minCol - col, col - maxCol, minRow - row, row - maxRow);
+    const lastRing = Math.max(col - minCol, maxCol - col, row - minRow, maxRow - row);
+    // Squared, which spares a square root per item
+    this.best = null;
+    this.bestDistance = within * within;
+
+    for (let ring = firstRing; ring <= lastRing; ring += 1) {
+      const reached = (ring - 1) * this.cellSize - this.slack;
+      if (reached >= 0 && this.bestDistance <= reached * reached) {
+        break;
+      }
+      const top = row - ring;
+      const bottom = row + ring;
+      const left = col - ring;
+      const right = col + ring;
+      const fromCol = Math.max(left, minCol);
+      const toCol = Math.min(right, maxCol);
+      const fromRow = Math.max(top + 1, minRow);
+      const toRow = Math.min(bottom - 1, maxRow);
+      if (top >= minRow && fromCol <= toCol) {
+        this.searchRun(top * cols + fromCol, top * cols + toCol + 1, x, y, accept);
+      }
+      if (ring > 0 && bottom <= maxRow && fromCol <= toCol) {
+        this.searchRun(bottom * cols + fromCol, bottom * cols + toCol + 1, x, y, accept);
+      }
+      if (left >= minCol) {
+        for (let r = fromRow; r <= toRow; r += 1) this.searchRun(r * cols + left, r * cols + left + 1, x, y, accept);
+      }
+      if (ring > 0 && right <= maxCol) {
+        for (let r = fromRow; r <= toRow; r += 1) this.searchRun(r * cols + right, r * cols + right + 1, x, y, accept);
+      }
+    }
+    this.searchItems(this.pending, 0, this.pending.length, x, y, accept);
+    const { best } = this;
+    this.best = null;
+    return best;
+  }
+
+  // The cells fromCell up to toCell of one nearest() search
+  searchRun(fromCell, toCell, x, y, accept) {
+    this.searchItems(this.sorted, this.start[fromCell], this.start[toCell], x, y, accept);
+  }
+
+  // list[from] up to list[end], improving on the nearest() search under way
+  searchItems(list, from, end, x, y, accept) {
+    for (let i = from; i < end; i += 1) {
+      const item = list[i];
+      const dx = item.x - x;
+      const dy = item.y - y;
+      const d = dx * dx + dy * dy;
+      if (d < this.bestDistance && accept(item)) {
+        this.bestDistance = d;
+        this.best = item;
+      }
+    }
+  }
+
+  nearestLinear(x, y, accept, within = Number.POSITIVE_INFINITY) {
+    let best = null;
+    let bestDistance = within * within;
+    for (const item of this.items) {
+      const dx = item.x - x;
+      const dy = item.y - y;
+      const d = dx * dx + dy * dy;
+      if (d < bestDistance && accept(item)) {
+        bestDistance = d;
+        best = item;
+      }
+    }
+    return best;
+  }
+}
@@ -0,0 +1,151 @@
+// Survival setup: the wave file the defenders face, loaded from disk or left
+// at the built-in one, a live readout of the run and the best scores so far.
+// The wave file and the score history are kept in localStorage.
+
+import { downloadJson, readJsonFile } from "./files.js";
+import { DEFAULT_WAVES, normalizeWaveFile } from "./survival.js";
+
+const WAVES_KEY = "ratio-arena.waves";
+const SCORES_KEY = "ratio-arena.survival-scores";
+// Runs kept in the history, and how many of a wave file's best are listed
+const HISTORY_LIMIT = 50;
+const BEST_SHOWN = 5;
+
+let waveFile = normalizeWaveFile(DEFAULT_WAVES);
+// { file, score, survived, wave, kills, duration, counts, date } per run,
+// best first
+let scores = [];
+let fields = null;
+
+function loadSaved(key, normalize, fallback) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? normalize(JSON.parse(saved)) : fallback;
+  } catch (error) {
+    console.warn(`Ignoring saved ${key}:`, error);
+    return fallback;
+  }
+}
+
+function save(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error);
+  }
+}
+
+function normalizeScores(data) {
+  if (!Array.isArray(data)) {
+    throw new Error("Survival scores must be a list.");
+  }
+  return data.filter((entry) => typeof entry?.score === "number" && typeof entry.file === "string");
+}
+
+function formatDuration(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+function describeWaveFile(file) {
+  const count = file.waves.length;
+  const pace = `${count} ${count === 1 ? "wave" : "waves"}, one every ${file.interval} s`;
+  return file.loop ? `${pace}, growing ×${file.growth} each time round` : `${pace}, then it's over`;
+}
+
+// The wave file survival battles use
+export function getWaveFile() {
+  return waveFile;
+}
+
+// Replace the wave file, e.g. from a config. Throws like normalizeWaveFile.
+export function setWaveFile(data) {
+  waveFile = normalizeWaveFile(data);
+  save(WAVES_KEY, waveFile);
+  fields?.render();
+}
+
+// File a finished run under the current wave file. Returns its place among
+// that file's runs, 1 being a new best.
+export function recordSurvivalScore({ score, survived, wave, kills, duration, counts }) {
+  const entry = { file: waveFile.name, score, survived, wave, kills, duration, counts, date: new Date().toISOString() };
+  scores = [...scores, entry].sort((a, b) => b.score - a.score).slice(0, HISTORY_LIMIT);
+  save(SCORES_KEY, scores);
+  fields?.render();
+  const rank = scores.filter((other) => other.file === entry.file).indexOf(entry) + 1;
+  // Runs that didn't make the history rank below all of it
+  return rank > 0 ? rank : scores.length + 1;
+}
+
+// Live readout of a run from SurvivalSimulation's progress
+export function showSurvivalProgress({ wave, survived, kills, score, nextWaveIn }) {
+  if (!fields) return;
+  const next = nextWaveIn === null ? "no more waves coming" : `next wave in ${Math.ceil(nextWaveIn)} s`;
+  fields.readout.textContent = `Wave ${wave} · ${survived} cleared · ${kills} kills · ${score} pts · ${next}`;
+  fields.readout.hidden = false;
+}
+
+export function clearSurvivalProgress() {
+  if (fields) {
+    fields.readout.hidden = true;
+  }
+}
+
+// onChange runs after the wave file changes so the setup can be redrawn and
+// saved into the URL
+export function initSurvivalFields({ onChange }) {
+  const waveName = document.getElementById("survival-wave-name");
+  const fileInput = document.getElementById("survival-wave-file");
+  const exportBtn = document.getElementById("survival-export-btn");
+  const defaultBtn = document.getElementById("survival-default-btn");
+  const readout = document.getElementById("survival-readout");
+  const bestList = document.getElementById("survival-best");
+  const status = document.getElementById("survival-status");
+
+  function render() {
+    waveName.textContent = waveFile.name;
+    waveName.title = describeWaveFile(waveFile);
+    status.textContent = describeWaveFile(waveFile);
+    const best = scores.filter((entry) => entry.file === waveFile.name).slice(0, BEST_SHOWN);
+    bestList.replaceChildren(
+      ...best.map((entry) => {
+        const item = document.createElement("li");
+        item.textContent =
+          `${entry.score} pts · ${entry.survived} ${entry.survived === 1 ? "wave" : "waves"} · ` +
+          `${formatDuration(entry.duration)} · ${new Date(entry.date).toLocaleDateString()}`;
+        return item;
+      })
+    );
+    bestList.hidden = best.length === 0;
+  }
+
+  async function importWaves() {
+    const [file] = fileInput.files;
+    fileInput.value = "";
+    if (!file) {
+      return;
+    }
+    try {
+      setWaveFile(await readJsonFile(file));
+      status.textContent = `Loaded ${file.name}: ${describeWaveFile(waveFile)}.`;
+      onChange();
+    } catch (error) {
+      status.textContent = error.message;
+    }
+  }
+
+  fields = { render, readout };
+  // Saved wave files may field custom types, which the unit editor has
+  // registered by now
+  waveFile = loadSaved(WAVES_KEY, normalizeWaveFile, waveFile);
+  scores = loadSaved(SCORES_KEY, normalizeScores, []);
+  fileInput.addEventListener("change", importWaves);
+  exportBtn.addEventListener("click", () => {
+    downloadJson(waveFile, "ratio-arena-waves.json");
+  });
+  defaultBtn.addEventListener("click", () => {
+    setWaveFile(DEFAULT_WAVES);
+    onChange();
+  });
+  render();
+}
@@ -0,0 +1,320 @@
+// Survival mode. The player's composition holds the arena against waves of
+// enemies that march in from the edge, as scripted by a wave file:
+//
+//   {
+//     "name": "Rising Tide",
+//     "firstDelay": 3,   seconds before the first wave
+//     "interval": 20,    seconds from one wave to the next
+//     "breather": 3,     seconds of rest once the field is clear, if sooner
+//     "growth": 1.3,     count multiplier each time the list starts over
+//     "loop": true,      start over when the list runs out, or stop there
+//     "waves": [{ "counts": { "circle": 4 }, "interval": 25 }, ...]
+//   }
+//
+// A wave's own interval overrides the file's for the wait after it. Killing
+// a unit scores its point cost times KILL_POINTS and clearing a wave scores
+// CLEAR_POINTS times its number. The run ends when the defenders are wiped
+// out, or once every wave of a file that doesn't loop is beaten.
+
+import { clampToArena } from "./maps.js";
+import { FIXED_DT, RATIO_LIMITS, Simulation } from "./simulation.js";
+import { TYPE_CONFIG } from "./unit-types.js";
+
+export const WAVES_FORMAT = "ratio-arena-waves";
+export const WAVES_VERSION = 1;
+
+export const DEFENDERS_TEAM = { id: "defenders", name: "Defenders", color: "#4c8dff" };
+export const WAVES_TEAM = { id: "waves", name: "Waves", color: "#ff5c5c" };
+
+export const WAVE_LIMITS = {
+  waves: 50,
+  // Most units of one type a grown wave sends. Looping waves keep growing well
+  // past the ratio inputs' cap; this only stops an endless run flooding the arena.
+  grownCount: 1000,
+  firstDelay: { min: 0, max: 60 },
+  interval: { min: 5, max: 300 },
+  breather: { min: 0, max: 60 },
+  growth: { min: 1, max: 5 },
+};
+
+const KILL_POINTS = 10;
+const CLEAR_POINTS = 100;
+
+// A wave fans out this far either side of its bearing (radians) and this deep
+// in from the edge, so its units don't all queue for one spawn point
+const WAVE_SPREAD = 0.35;
+const WAVE_DEPTH = 60;
+const EDGE_MARGIN = 30;
+
+export const DEFAULT_WAVES = {
+  format: WAVES_FORMAT,
+  version: WAVES_VERSION,
+  name: "Rising Tide",
+  firstDelay: 3,
+  interval: 20,
+  breather: 3,
+  growth: 1.3,
+  loop: true,
+  waves: [
+    { counts: { circle: 4 } },
+    { counts: { circle: 4, triangle: 2 } },
+    { counts: { square: 3, circle: 3 } },
+    { counts: { triangle: 5, square: 2 } },
+    { counts: { circle: 6, square: 3, triangle: 3 }, interval: 30 },
+  ],
+};
+
+function fail(message) {
+  throw new Error(`Wave file: ${message}`);
+}
+
+function readSeconds(value, key, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const { min, max } = WAVE_LIMITS[key];
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+    fail(`${key} must be a number from ${min} to ${max}.`);
+  }
+  return value;
+}
+
+// Validate a wave file from disk, a config or storage against the unit types
+// it may field. Throws with a message fit to show the user.
+export function normalizeWaveFile(data, types = TYPE_CONFIG) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    fail("expected an object with a list of waves.");
+  }
+  if (data.format !== undefined && data.format !== WAVES_FORMAT) {
+    fail("this is not a Ratio Arena wave file.");
+  }
+  if (!Array.isArray(data.waves) || data.waves.length === 0) {
+    fail("it needs a list of waves.");
+  }
+  if (data.waves.length > WAVE_LIMITS.waves) {
+    fail(`it has more than ${WAVE_LIMITS.waves} waves.`);
+  }
+  if (data.loop !== undefined && typeof data.loop !== "boolean") {
+    fail("loop must be true or false.");
+  }
+  const interval = readSeconds(data.interval, "interval", DEFAULT_WAVES.interval);
+  const waves = data.waves.map((wave, index) => {
+    const label = `wave ${index + 1}`;
+    if (!wave || typeof wave !== "object" || typeof wave.counts !== "object" || wave.counts === null) {
+      fail(`${label} needs counts per unit type.`);
+    }
+    const counts = {};
+    for (const [type, value] of Object.entries(wave.counts)) {
+      if (!types[type]) {
+        fail(`${label} uses unknown unit type "${type}".`);
+      }
+      if (!Number.isInteger(value) || value < RATIO_LIMITS.min || value > RATIO_LIMITS.max) {
+        fail(`${label} needs whole counts from ${RATIO_LIMITS.min} to ${RATIO_LIMITS.max}.`);
+      }
+      if (value > 0) {
+        counts[type] = value;
+      }
+    }
+    if (Object.keys(counts).length === 0) {
+      fail(`${label} has no units.`);
+    }
+    const normalized = { counts };
+    if (wave.interval !== undefined) {
+      normalized.interval = readSeconds(wave.interval, "interval");
+    }
+    return normalized;
+  });
+  return {
+    format: WAVES_FORMAT,
+    version: WAVES_VERSION,
+    name: String(data.name ?? "").trim().slice(0, 40) || "Custom Waves",
+    firstDelay: readSeconds(data.firstDelay, "firstDelay", DEFAULT_WAVES.firstDelay),
+    interval,
+    breather: readSeconds(data.breather, "breather", DEFAULT_WAVES.breather),
+    growth: readSeconds(data.growth, "growth", DEFAULT_WAVES.growth),
+    loop: data.loop ?? true,
+    waves,
+  };
+}
+
+// The index-th wave to spawn (from 0) as { number, counts, interval }, with
+// counts grown for every time the list has started over, or null when a file
+// that doesn't loop has run out
+export function waveAt(file, index) {
+  const round = Math.floor(index / file.waves.length);
+  if (round > 0 && !file.loop) {
+    return null;
+  }
+  const wave = file.waves[index % file.waves.length];
+  const scale = file.growth ** round;
+  const counts = {};
+  for (const [type, count] of Object.entries(wave.counts)) {
+    counts[type] = Math.min(WAVE_LIMITS.grownCount, Math.round(count * scale));
+  }
+  return { number: index + 1, counts, interval: wave.interval ?? file.interval };
+}
+
+// Every type the file's waves field, with how many the list holds in total
+export function waveRoster(file) {
+  const roster = {};
+  for (const { counts } of file.waves) {
+    for (const [type, count] of Object.entries(counts)) {
+      roster[type] = (roster[type] ?? 0) + count;
+    }
+  }
+  return roster;
+}
+
+// A Simulation where counts (or the hand-placed units, all of them defenders)
+// face the waves of a wave file. The waves team starts empty; its counts list
+// every type the waves field so counters and analytics have room for them.
+export class SurvivalSimulation extends Simulation {
+  constructor({ counts = {}, waves = DEFAULT_WAVES, placed = [], ...options } = {}) {
+    super({
+      ...options,
+      teams: [
+        { ...DEFENDERS_TEAM, counts },
+        { ...WAVES_TEAM, counts: {} },
+      ],
+      placed: placed.map((unit) => ({ ...unit, team: DEFENDERS_TEAM.id })),
+    });
+    this.waveFile = waves;
+    this.teamById(WAVES_TEAM.id).counts = waveRoster(waves);
+    this.wave = 0; // Waves spawned so far
+    this.wavesCleared = 0;
+    this.kills = 0;
+    this.score = 0;
+    this.nextWaveAt = waves.firstDelay;
+    // Waves with units still standing: { number, units }
+    this.activeWaves = [];
+    // Defenders that never took the field have already lost
+    this.checkVictory();
+  }
+
+  // Overrun once the defenders are gone; held once a file that doesn't loop
+  // has nothing left to send
+  checkVictory() {
+    // Simulation's constructor asks before the waves are set up
+    if (!this.waveFile) {
+      return false;
+    }
+    if (this.survivors[DEFENDERS_TEAM.id] === 0) {
+      this.finished = true;
+      this.winner = WAVES_TEAM.id;
+    } else if (this.nextWaveAt === Infinity && this.activeWaves.length === 0) {
+      this.finished = true;
+      this.winner = DEFENDERS_TEAM.id;
+    }
+    return this.finished;
+  }
+
+  step(dt) {
+    if (this.finished) {
+      return;
+    }
+    super.step(dt);
+    this.tallyWaves();
+    if (!this.finished) {
+      this.callWave();
+      this.checkVictory();
+    }
+  }
+
+  // Score the wave units that fell this tick and the waves they finished
+  tallyWaves() {
+    this.activeWaves = this.activeWaves.filter((wave) => {
+      wave.units = wave.units.filter((warrior) => {
+        if (!warrior.alive) {
+          this.kills += 1;
+          this.score += warrior.config.cost * KILL_POINTS;
+        }
+        return warrior.alive;
+      });
+      if (wave.units.length > 0) {
+        return true;
+      }
+      this.wavesCleared += 1;
+      this.score += wave.number * CLEAR_POINTS;
+      return false;
+    });
+    if (this.wave > 0 && this.activeWaves.length === 0) {
+      this.nextWaveAt = Math.min(this.nextWaveAt, this.time + this.waveFile.breather);
+    }
+  }
+
+  callWave() {
+    if (this.time + 1e-9 < this.nextWaveAt) {
+      return;
+    }
+    const wave = waveAt(this.waveFile, this.wave);
+    if (!wave) {
+      this.nextWaveAt = Infinity;
+      return;
+    }
+    this.spawnWave(wave);
+    this.wave += 1;
+    this.nextWaveAt = this.time + wave.interval;
+  }
+
+  // Spill a wave's units in at the arena edge around a random bearing
+  spawnWave({ number, counts }) {
+    const team = this.teamById(WAVES_TEAM.id);
+    const bearing = this.rng() * Math.PI * 2;
+    const reach = this.arena.width + this.arena.height;
+    const pickPoint = () => {
+      const angle = bearing + (this.rng() * 2 - 1) * WAVE_SPREAD;
+      const point = {
+        x: this.arena.center.x + Math.cos(angle) * reach,
+        y: this.arena.center.y + Math.sin(angle) * reach,
+      };
+      return clampToArena(this.arena, point, EDGE_MARGIN + this.rng() * WAVE_DEPTH);
+    };
+    const units = [];
+    for (const [type, count] of Object.entries(counts)) {
+      // Types removed from the registry since the file was loaded sit it out
+      if (!this.types[type]) continue;
+      for (let i = 0; i < count; i += 1) {
+        units.push(this.spawnWarrior(team, type, this.findSpawnPoint(pickPoint, i)));
+      }
+    }
+    if (units.length > 0) {
+      this.activeWaves.push({ number, units });
+    }
+    const edge = clampToArena(
+      this.arena,
+      { x: this.arena.center.x + Math.cos(bearing) * reach, y: this.arena.center.y + Math.sin(bearing) * reach },
+      EDGE_MARGIN
+    );
+    this.emit({ kind: "wave", wave: number, x: edge.x, y: edge.y });
+  }
+
+  // Where the run stands: the wave reached, waves beaten, kills, score and
+  // seconds until the next wave (null when none is coming)
+  get progress() {
+    return {
+      wave: this.wave,
+      survived: this.wavesCleared,
+      kills: this.kills,
+      score: this.score,
+      nextWaveIn: Number.isFinite(this.nextWaveAt) ? Math.max(0, this.nextWaveAt - this.time) : null,
+    };
+  }
+}
+
+// Headless survival run, like runBattle. maxTime stops runs the defenders
+// would otherwise hold forever.
+export function runSurvival(counts, { dt = FIXED_DT, maxTime = 600, ...options } = {}) {
+  const sim = new SurvivalSimulation({ counts, ...options });
+  while (!sim.finished && sim.time < maxTime) {
+    sim.step(dt);
+    sim.events.length = 0;
+  }
+  return {
+    seed: sim.seed,
+    winner: sim.winner,
+    finished: sim.finished,
+    duration: sim.time,
+    survivors: sim.survivors,
+    ...sim.progress,
+  };
+}
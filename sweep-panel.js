@@ -0,0 +1,233 @@
+// Ratio sweep explorer: batch-simulates a grid of compositions in a worker and
+// paints the outcome of each cell as a heatmap. Clicking a cell hands its
+// counts back to the arena to play.
+
+import { RATIO_LIMITS, clampRatioValue } from "./simulation.js";
+import { buildSweepCells } from "./sweep.js";
+import { TYPE_CONFIG, onUnitTypesChange } from "./unit-types.js";
+
+const MARGIN = { left: 44, bottom: 40, top: 8, right: 8 };
+const UNDECIDED_COLOR = [90, 94, 110];
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Blend the type colors by how often each type won, with draws and timeouts
+// pulling the cell towards grey.
+function cellColor(summary) {
+  const mix = [0, 0, 0];
+  for (const [key, outcome] of Object.entries(summary.outcomes)) {
+    const rgb = TYPE_CONFIG[key] ? hexToRgb(TYPE_CONFIG[key].color) : UNDECIDED_COLOR;
+    for (let i = 0; i < 3; i += 1) {
+      mix[i] += rgb[i] * outcome.rate;
+    }
+  }
+  return `rgb(${mix.map(Math.round).join(",")})`;
+}
+
+function typeName(type) {
+  return TYPE_CONFIG[type]?.name ?? type;
+}
+
+function describeCounts(counts) {
+  return Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${count} ${typeName(type)}`)
+    .join(" · ");
+}
+
+function outcomeLabel(key) {
+  if (TYPE_CONFIG[key]) return typeName(key);
+  return key === "draw" ? "Mutual wipe" : "Timed out";
+}
+
+function describeOutcomes(summary) {
+  return Object.entries(summary.outcomes)
+    .filter(([, outcome]) => outcome.count > 0)
+    .map(([key, outcome]) => `${outcomeLabel(key)} ${Math.round(outcome.rate * 100)}%`)
+    .join(", ");
+}
+
+function readNumber(input, min, max) {
+  const value = Math.round(Math.min(max, Math.max(min, Number(input.value) || min)));
+  input.value = value;
+  return value;
+}
+
+// getBattlefield returns the { layout, map, matchups } every cell fights with
+export function initSweepPanel({ getSeed, getBattlefield, onPlay }) {
+  const modeSelect = document.getElementById("sweep-mode");
+  const xSelect = document.getElementById("sweep-x");
+  const ySelect = document.getElementById("sweep-y");
+  const zSelect = document.getElementById("sweep-z");
+  const fixedInput = document.getElementById("sweep-fixed");
+  const maxInput = document.getElementById("sweep-max");
+  const totalInput = document.getElementById("sweep-total");
+  const stepInput = document.getElementById("sweep-step");
+  const runsInput = document.getElementById("sweep-runs");
+  const sweepBtn = document.getElementById("sweep-btn");
+  const status = document.getElementById("sweep-status");
+  const canvas = document.getElementById("sweep-canvas");
+  const ctx = canvas.getContext("2d");
+
+  let worker = null;
+  let layout = null;
+  let summaries = [];
+
+  // Rebuild the type pickers from the registry, keeping the current choices
+  // where they still exist and otherwise falling back to distinct defaults.
+  function populateTypeSelects() {
+    const types = Object.keys(TYPE_CONFIG);
+    [xSelect, ySelect, zSelect].forEach((select, index) => {
+      const previous = select.value;
+      select.replaceChildren(...types.map((type) => new Option(typeName(type), type)));
+      select.value = types.includes(previous) ? previous : types[index] ?? types[0];
+    });
+  }
+
+  function syncModeFields() {
+    for (const field of document.querySelectorAll("[data-sweep-mode]")) {
+      field.hidden = field.dataset.sweepMode !== modeSelect.value;
+    }
+  }
+
+  function cellRect(cell) {
+    const plot = canvas.width - MARGIN.left - MARGIN.right;
+    const size = plot / layout.size;
+    return {
+      x: MARGIN.left + cell.col * size,
+      // Row 0 sits at the bottom so counts grow upwards like a chart
+      y: MARGIN.top + (layout.size - 1 - cell.row) * size,
+      size,
+    };
+  }
+
+  function draw() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!layout) return;
+
+    layout.cells.forEach((cell, index) => {
+      const rect = cellRect(cell);
+      ctx.fillStyle = summaries[index] ? cellColor(summaries[index]) : "rgba(255,255,255,0.05)";
+      ctx.fillRect(rect.x + 1, rect.y + 1, rect.size - 2, rect.size - 2);
+    });
+
+    ctx.save();
+    ctx.fillStyle = "rgba(244,246,251,0.74)";
+    ctx.font = "12px Inter, system-ui, sans-serif";
+    const plot = canvas.width - MARGIN.left - MARGIN.right;
+    const size = plot / layout.size;
+    const labelEvery = Math.ceil(layout.size / 10);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    layout.values.forEach((value, i) => {
+      if (i % labelEvery !== 0) return;
+      ctx.fillText(String(value), MARGIN.left + (i + 0.5) * size, MARGIN.top + plot + 4);
+    });
+    ctx.fillText(`${typeName(layout.xType)} →`, MARGIN.left + plot / 2, MARGIN.top + plot + 22);
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    layout.values.forEach((value, i) => {
+      if (i % labelEvery !== 0) return;
+      ctx.fillText(String(value), MARGIN.left - 6, MARGIN.top + (layout.size - 0.5 - i) * size);
+    });
+    ctx.translate(12, MARGIN.top + plot / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = "center";
+    ctx.fillText(`${typeName(layout.yType)} →`, 0, 0);
+    ctx.restore();
+  }
+
+  function cellAt(event) {
+    if (!layout) return -1;
+    const bounds = canvas.getBoundingClientRect();
+    const x = ((event.clientX - bounds.left) / bounds.width) * canvas.width;
+    const y = ((event.clientY - bounds.top) / bounds.height) * canvas.height;
+    return layout.cells.findIndex((cell) => {
+      const rect = cellRect(cell);
+      return x >= rect.x && x < rect.x + rect.size && y >= rect.y && y < rect.y + rect.size;
+    });
+  }
+
+  function stopWorker() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    sweepBtn.textContent = "Run Sweep";
+  }
+
+  function startSweep() {
+    if (worker) {
+      stopWorker();
+      status.textContent = "Sweep cancelled.";
+      return;
+    }
+
+    try {
+      layout = buildSweepCells({
+        mode: modeSelect.value,
+        xType: xSelect.value,
+        yType: ySelect.value,
+        restType: zSelect.value,
+        fixedCount: clampRatioValue(fixedInput.value),
+        max: readNumber(maxInput, 1, RATIO_LIMITS.max),
+        total: readNumber(totalInput, 1, RATIO_LIMITS.max),
+        step: readNumber(stepInput, 1, 25),
+      });
+    } catch (error) {
+      status.textContent = error.message;
+      return;
+    }
+    const runs = readNumber(runsInput, 1, 200);
+    const seed = getSeed();
+    summaries = [];
+    draw();
+
+    let finished = 0;
+    worker = new Worker(new URL("./sweep-worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.kind === "cell") {
+        summaries[data.index] = data.summary;
+        finished += 1;
+        status.textContent = `Running… ${finished}/${layout.cells.length} cells · seed ${seed}`;
+        draw();
+      } else {
+        status.textContent = `${layout.cells.length} cells × ${runs} battles · seed ${seed}. Click a cell to play it.`;
+        stopWorker();
+      }
+    };
+    worker.onerror = (event) => {
+      console.warn("Sweep worker failed:", event);
+      status.textContent = "Sweep failed. See the console for details.";
+      stopWorker();
+    };
+    worker.postMessage({ cells: layout.cells, runs, seed, types: TYPE_CONFIG, ...getBattlefield() });
+    status.textContent = `Running… 0/${layout.cells.length} cells · seed ${seed}`;
+    sweepBtn.textContent = "Cancel";
+  }
+
+  canvas.addEventListener("mousemove", (event) => {
+    const index = cellAt(event);
+    if (index < 0) return;
+    const cell = layout.cells[index];
+    const summary = summaries[index];
+    canvas.title = summary
+      ? `${describeCounts(cell.counts)}\n${describeOutcomes(summary)}`
+      : describeCounts(cell.counts);
+  });
+
+  canvas.addEventListener("click", (event) => {
+    const index = cellAt(event);
+    if (index < 0) return;
+    onPlay({ ...layout.cells[index].counts });
+  });
+
+  modeSelect.addEventListener("change", syncModeFields);
+  sweepBtn.addEventListener("click", startSweep);
+  onUnitTypesChange(populateTypeSelects);
+  populateTypeSelects();
+  syncModeFields();
+}
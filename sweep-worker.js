@@ -0,0 +1,13 @@
+// Batch-simulates every cell of a sweep off the main thread and reports each
+// cell as soon as it finishes so the heatmap paints in progressively.
+
+import { runBatch, summarizeBatch } from "./batch.js";
+
+self.onmessage = ({ data }) => {
+  const { cells, runs, seed, types, layout, map, matchups } = data;
+  cells.forEach((cell, index) => {
+    const results = runBatch({ counts: cell.counts, runs, seed: `${seed}:${index}`, types, layout, map, matchups });
+    self.postMessage({ kind: "cell", index, summary: summarizeBatch(results, Object.keys(types)) });
+  });
+  self.postMessage({ kind: "done" });
+};
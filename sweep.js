@@ -0,0 +1,56 @@
+// Composition sweeps: lay out a set of counts over a 2D grid of cells so every
+// cell can be batch-simulated and painted as a heatmap.
+
+import { RATIO_LIMITS } from "./simulation.js";
+import { TYPE_CONFIG } from "./unit-types.js";
+
+function axisValues(max, step) {
+  const values = [];
+  for (let value = 0; value <= max; value += step) {
+    values.push(value);
+  }
+  return values;
+}
+
+// "grid": two types vary along the axes while a third stays fixed.
+// "simplex": every split of a fixed total between three types. Cells form a
+// staircase triangle: x is the first type, y the second, the rest goes to the
+// third. Any other registered types sit the sweep out with zero units.
+export function buildSweepCells({
+  mode = "grid",
+  xType,
+  yType,
+  restType,
+  fixedCount = 0,
+  max = 10,
+  step = 1,
+  total = 12,
+}) {
+  const types = Object.keys(TYPE_CONFIG);
+  if (new Set([xType, yType, restType]).size < 3) {
+    throw new Error("Pick three different unit types for the sweep.");
+  }
+  const stride = Math.max(1, Math.round(step));
+  // Keep every cell loadable back into the form, which caps counts per type
+  const limit = Math.min(RATIO_LIMITS.max, mode === "simplex" ? total : max);
+  const values = axisValues(limit, stride);
+
+  const cells = [];
+  for (const [row, y] of values.entries()) {
+    for (const [col, x] of values.entries()) {
+      const counts = Object.fromEntries(types.map((type) => [type, 0]));
+      counts[xType] = x;
+      counts[yType] = y;
+      if (mode === "simplex") {
+        if (x + y > limit) {
+          continue;
+        }
+        counts[restType] = limit - x - y;
+      } else {
+        counts[restType] = fixedCount;
+      }
+      cells.push({ col, row, counts });
+    }
+  }
+  return { cells, size: values.length, values, xType, yType, restType };
+}
@@ -0,0 +1,168 @@
+// Composition editor for team battles. Each team has a name, a color and its
+// own count per unit type, so any mix of shapes can fight on one side.
+
+import { RATIO_LIMITS, clampRatioValue } from "./simulation.js";
+import { TYPE_CONFIG, onUnitTypesChange } from "./unit-types.js";
+
+export const TEAM_LIMITS = { min: 2, max: 6 };
+
+// Name and color for each team slot, picked to read well against every unit color
+const TEAM_PRESETS = [
+  { name: "Red Team", color: "#ff5c5c" },
+  { name: "Blue Team", color: "#4c8dff" },
+  { name: "Green Team", color: "#57e389" },
+  { name: "Gold Team", color: "#f6d32d" },
+  { name: "Violet Team", color: "#c061cb" },
+  { name: "White Team", color: "#f4f6fb" },
+];
+
+const DEFAULT_TEAM_COUNTS = [
+  { circle: 2, triangle: 1 },
+  { square: 2, circle: 1 },
+];
+
+let teams = [];
+let nextTeamId = 1;
+let container = null;
+let notifyChange = () => {};
+// Has the last word on a count typed into a team, e.g. to keep it on budget
+let limitCount = (team, type, count) => count;
+
+function createTeam(counts = {}) {
+  const used = new Set(teams.map((team) => team.name));
+  const preset = TEAM_PRESETS.find(({ name }) => !used.has(name)) ?? TEAM_PRESETS[teams.length % TEAM_PRESETS.length];
+  return { id: `team-${nextTeamId++}`, name: preset.name, color: preset.color, counts: { ...counts } };
+}
+
+function teamRow(team) {
+  const row = document.createElement("tr");
+  row.style.setProperty("--team-color", team.color);
+
+  const nameCell = document.createElement("td");
+  const name = document.createElement("input");
+  name.type = "text";
+  name.value = team.name;
+  name.setAttribute("aria-label", "Team name");
+  name.addEventListener("change", () => {
+    team.name = name.value.trim() || team.name;
+    name.value = team.name;
+    notifyChange();
+  });
+  nameCell.append(name);
+
+  const colorCell = document.createElement("td");
+  const color = document.createElement("input");
+  color.type = "color";
+  color.value = team.color;
+  color.setAttribute("aria-label", `${team.name} color`);
+  color.addEventListener("input", () => {
+    team.color = color.value;
+    row.style.setProperty("--team-color", team.color);
+    notifyChange();
+  });
+  colorCell.append(color);
+
+  const countCells = Object.entries(TYPE_CONFIG).map(([type, config]) => {
+    const cell = document.createElement("td");
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = RATIO_LIMITS.min;
+    input.max = RATIO_LIMITS.max;
+    input.value = team.counts[type] ?? 0;
+    input.setAttribute("aria-label", `${team.name} ${config.name}`);
+    input.addEventListener("input", () => {
+      const clamped = limitCount(team, type, clampRatioValue(input.value));
+      if (Number(input.value) !== clamped) {
+        input.value = clamped;
+      }
+      team.counts[type] = clamped;
+      notifyChange();
+    });
+    cell.append(input);
+    return cell;
+  });
+
+  const removeCell = document.createElement("td");
+  if (teams.length > TEAM_LIMITS.min) {
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "remove";
+    remove.textContent = "✕";
+    remove.title = `Remove ${team.name}`;
+    remove.addEventListener("click", () => {
+      teams = teams.filter((other) => other !== team);
+      renderTeamFields();
+      notifyChange();
+    });
+    removeCell.append(remove);
+  }
+
+  row.append(nameCell, colorCell, ...countCells, removeCell);
+  return row;
+}
+
+function renderTeamFields() {
+  const table = document.createElement("table");
+  table.className = "team-table";
+  const head = document.createElement("tr");
+  for (const heading of ["Team", "Color", ...Object.values(TYPE_CONFIG).map((config) => config.name), ""]) {
+    const th = document.createElement("th");
+    th.textContent = heading;
+    head.append(th);
+  }
+  const thead = document.createElement("thead");
+  thead.append(head);
+  const tbody = document.createElement("tbody");
+  tbody.append(...teams.map(teamRow));
+  table.append(thead, tbody);
+
+  const add = document.createElement("button");
+  add.type = "button";
+  add.className = "secondary";
+  add.textContent = "Add Team";
+  add.disabled = teams.length >= TEAM_LIMITS.max;
+  add.addEventListener("click", () => {
+    teams.push(createTeam());
+    renderTeamFields();
+    notifyChange();
+  });
+  const buttons = document.createElement("div");
+  buttons.className = "button-row";
+  buttons.append(add);
+
+  container.replaceChildren(table, buttons);
+}
+
+// limitCount(team, type, count) returns the count to keep when one is typed
+export function initTeamFields({ onChange, limitCount: limit } = {}) {
+  container = document.getElementById("team-fields");
+  notifyChange = onChange ?? notifyChange;
+  limitCount = limit ?? limitCount;
+  teams = [];
+  for (const counts of DEFAULT_TEAM_COUNTS) {
+    teams.push(createTeam(counts));
+  }
+  onUnitTypesChange(renderTeamFields);
+  renderTeamFields();
+}
+
+// Replace every team, e.g. from a shared config. Takes { name, color, counts }.
+export function setTeams(list) {
+  teams = [];
+  for (const { name, color, counts } of list) {
+    teams.push({ ...createTeam(counts), name, color });
+  }
+  renderTeamFields();
+}
+
+// Teams as Simulation expects them, with every count scaled by the multiplier.
+// Types that no longer exist are dropped.
+export function collectTeams(multiplier = 1) {
+  return teams.map(({ id, name, color, counts }) => {
+    const scaled = {};
+    for (const type of Object.keys(TYPE_CONFIG)) {
+      scaled[type] = Math.round(clampRatioValue(counts[type] ?? 0) * multiplier);
+    }
+    return { id, name, color, counts: scaled };
+  });
+}
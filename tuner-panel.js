@@ -0,0 +1,293 @@
+// Balance tuner panel: the user sets a target win rate per type and the stats
+// the tuner may move, tuner-worker.js searches for values that hit the
+// targets, and the proposed types can be applied to the registry. The report
+// ranks the tuned stats by how much a step of each moves the win rates.
+
+import { RATIO_LIMITS } from "./simulation.js";
+import { STAT_LABELS, TUNABLE_STATS } from "./tuner.js";
+import { STAT_LIMITS, TYPE_CONFIG, onUnitTypesChange, replaceUnitTypes } from "./unit-types.js";
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function formatChange(value) {
+  const points = Math.round(value * 100);
+  return `${points > 0 ? "+" : points < 0 ? "−" : "±"}${Math.abs(points)}%`;
+}
+
+function describeRates(rates) {
+  return Object.entries(rates)
+    .map(([type, rate]) => `${TYPE_CONFIG[type]?.name ?? type} ${formatPercent(rate)}`)
+    .join(", ");
+}
+
+function readNumber(input, min, max) {
+  const value = Math.round(Math.min(max, Math.max(min, Number(input.value) || min)));
+  input.value = value;
+  return value;
+}
+
+// Half to one and a half times the current value, within what the stat allows.
+// Large stats get whole-number bounds, small ones like cooldowns keep decimals.
+function defaultBounds(type, stat) {
+  const value = TYPE_CONFIG[type][stat];
+  const { min, max } = STAT_LIMITS[stat];
+  const round = (x) => (value >= 10 ? Math.round(x) : Math.round(x * 100) / 100);
+  const low = Math.max(min, round(value * 0.5));
+  const high = Math.min(max, round(value * 1.5));
+  return low < high ? { min: low, max: high } : { min, max };
+}
+
+// getBattlefield returns the { layout, map, matchups } the tuner fights with
+export function initTunerPanel({ getSeed, getBattlefield }) {
+  const targetGrid = document.getElementById("tuner-targets");
+  const unitsInput = document.getElementById("tuner-units");
+  const runsInput = document.getElementById("tuner-runs");
+  const iterationsInput = document.getElementById("tuner-iterations");
+  const statTable = document.getElementById("tuner-stats");
+  const addBtn = document.getElementById("tuner-add-btn");
+  const runBtn = document.getElementById("tuner-btn");
+  const applyBtn = document.getElementById("tuner-apply-btn");
+  const progress = document.getElementById("tuner-progress");
+  const status = document.getElementById("tuner-status");
+  const report = document.getElementById("tuner-report");
+  const output = document.getElementById("tuner-output");
+
+  let worker = null;
+  // Target percentages as typed, kept across registry changes
+  let targets = {};
+  // Hit points for every type to start with
+  let tunables = Object.keys(TYPE_CONFIG).map((type) => ({ type, stat: "hp", ...defaultBounds(type, "hp") }));
+  // The types the last run proposed, for the apply button
+  let proposal = null;
+
+  function renderTargets() {
+    const types = Object.keys(TYPE_CONFIG);
+    targetGrid.replaceChildren(
+      ...types.map((type) => {
+        const label = document.createElement("label");
+        const input = document.createElement("input");
+        input.type = "number";
+        input.name = type;
+        input.min = 0;
+        input.max = 100;
+        input.value = targets[type] ?? Math.round(100 / types.length);
+        input.addEventListener("change", () => {
+          targets[type] = readNumber(input, 0, 100);
+        });
+        label.append(`${TYPE_CONFIG[type].name} Target (%)`, input);
+        return label;
+      })
+    );
+  }
+
+  function readTargets() {
+    const shares = {};
+    for (const input of targetGrid.querySelectorAll("input")) {
+      targets[input.name] = readNumber(input, 0, 100);
+      shares[input.name] = targets[input.name] / 100;
+    }
+    return shares;
+  }
+
+  function numberCell(tunable, bound) {
+    const td = document.createElement("td");
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = "any";
+    input.value = tunable[bound];
+    input.setAttribute("aria-label", `${bound === "min" ? "Lowest" : "Highest"} ${STAT_LABELS[tunable.stat]}`);
+    input.addEventListener("change", () => {
+      tunable[bound] = Number(input.value);
+    });
+    td.append(input);
+    return td;
+  }
+
+  function selectCell(options, value, onChange) {
+    const td = document.createElement("td");
+    const select = document.createElement("select");
+    select.append(...options.map(([id, label]) => new Option(label, id)));
+    select.value = value;
+    select.addEventListener("change", () => onChange(select.value));
+    td.append(select);
+    return td;
+  }
+
+  // One row per tunable: type, stat and bounds. Changing the type or stat
+  // resets the bounds around the new stat's current value.
+  function renderStats() {
+    tunables = tunables.filter(({ type }) => TYPE_CONFIG[type]);
+    const typeOptions = Object.entries(TYPE_CONFIG).map(([type, config]) => [type, config.name]);
+    const statOptions = TUNABLE_STATS.map((stat) => [stat, STAT_LABELS[stat]]);
+    const rows = tunables.map((tunable, index) => {
+      const row = document.createElement("tr");
+      const pick = (key) => (value) => {
+        tunable[key] = value;
+        Object.assign(tunable, defaultBounds(tunable.type, tunable.stat));
+        renderStats();
+      };
+      const removeCell = document.createElement("td");
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "secondary";
+      removeBtn.textContent = "Remove";
+      removeBtn.addEventListener("click", () => {
+        tunables.splice(index, 1);
+        renderStats();
+      });
+      removeCell.append(removeBtn);
+      row.append(
+        selectCell(typeOptions, tunable.type, pick("type")),
+        selectCell(statOptions, tunable.stat, pick("stat")),
+        numberCell(tunable, "min"),
+        numberCell(tunable, "max"),
+        removeCell
+      );
+      return row;
+    });
+    statTable.tBodies[0].replaceChildren(...rows);
+  }
+
+  function addStat() {
+    const type = Object.keys(TYPE_CONFIG)[0];
+    const taken = new Set(tunables.filter((tunable) => tunable.type === type).map(({ stat }) => stat));
+    const stat = TUNABLE_STATS.find((candidate) => !taken.has(candidate)) ?? "hp";
+    tunables.push({ type, stat, ...defaultBounds(type, stat) });
+    renderStats();
+  }
+
+  // Sensitivity table: one row per tuned stat, strongest first, with the win
+  // rate change a step of it brings each type
+  function showReport(result) {
+    const types = Object.keys(result.rates);
+    const head = document.createElement("tr");
+    head.append(
+      ...["Stat", "Start → Proposed", ...types.map((type) => `${TYPE_CONFIG[type]?.name ?? type} per step`)].map(
+        (text) => {
+          const th = document.createElement("th");
+          th.textContent = text;
+          return th;
+        }
+      )
+    );
+    const rows = result.sensitivity.map((entry) => {
+      const row = document.createElement("tr");
+      const cells = [
+        `${TYPE_CONFIG[entry.type]?.name ?? entry.type} ${STAT_LABELS[entry.stat]} (step ${entry.step})`,
+        `${entry.from} → ${entry.to}`,
+        ...types.map((type) => (type in entry.effects ? formatChange(entry.effects[type]) : "–")),
+      ];
+      row.append(
+        ...cells.map((text) => {
+          const td = document.createElement("td");
+          td.textContent = text;
+          return td;
+        })
+      );
+      return row;
+    });
+    report.tHead.replaceChildren(head);
+    report.tBodies[0].replaceChildren(...rows);
+    report.hidden = false;
+    output.textContent = JSON.stringify(result.types, null, 2);
+    output.hidden = false;
+  }
+
+  function clearReport() {
+    report.hidden = true;
+    output.hidden = true;
+  }
+
+  function stopWorker() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    runBtn.textContent = "Run Tuner";
+    progress.hidden = true;
+  }
+
+  function startTuning() {
+    if (worker) {
+      stopWorker();
+      status.textContent = "Tuning cancelled.";
+      return;
+    }
+
+    const options = {
+      targets: readTargets(),
+      tunables: tunables.map((tunable) => ({ ...tunable })),
+      unitsPerType: readNumber(unitsInput, 1, RATIO_LIMITS.max),
+      runs: readNumber(runsInput, 1, 200),
+      iterations: readNumber(iterationsInput, 1, 30),
+      seed: getSeed(),
+      types: TYPE_CONFIG,
+      ...getBattlefield(),
+    };
+    proposal = null;
+    applyBtn.disabled = true;
+    clearReport();
+
+    worker = new Worker(new URL("./tuner-worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.kind === "error") {
+        status.textContent = data.message;
+        stopWorker();
+        return;
+      }
+      if (data.kind === "progress") {
+        progress.value = (data.iteration - 1) / data.iterations;
+        status.textContent =
+          `Round ${data.iteration}/${data.iterations} · best so far: ${describeRates(data.rates)} · ` +
+          `${data.batches} batches, ${data.battles} battles · seed ${options.seed}`;
+        return;
+      }
+      showReport(data);
+      status.textContent =
+        `Proposed stats win ${describeRates(data.rates)} on the tuning battles and ` +
+        `${describeRates(data.check.rates)} on fresh ones. ${data.batches} batches, ` +
+        `${data.battles} battles · seed ${options.seed}`;
+      proposal = data.types;
+      applyBtn.disabled = false;
+      stopWorker();
+    };
+    worker.onerror = (event) => {
+      console.warn("Tuner worker failed:", event);
+      status.textContent = "Tuning failed. See the console for details.";
+      stopWorker();
+    };
+    worker.postMessage(options);
+
+    progress.value = 0;
+    progress.hidden = false;
+    status.textContent = `Scoring the current stats… · seed ${options.seed}`;
+    runBtn.textContent = "Cancel";
+  }
+
+  // The proposal replaces the whole registry, so refuse it once types have
+  // been added or removed since the run
+  function applyProposal() {
+    if (!proposal) return;
+    const current = Object.keys(TYPE_CONFIG).sort().join();
+    if (Object.keys(proposal).sort().join() !== current) {
+      status.textContent = "The unit types changed since the tuner ran. Run it again before applying.";
+      return;
+    }
+    replaceUnitTypes(proposal);
+    proposal = null;
+    applyBtn.disabled = true;
+    status.textContent = "Applied the proposed stats to the unit types.";
+  }
+
+  addBtn.addEventListener("click", addStat);
+  runBtn.addEventListener("click", startTuning);
+  applyBtn.addEventListener("click", applyProposal);
+  onUnitTypesChange(() => {
+    renderTargets();
+    renderStats();
+  });
+  renderTargets();
+  renderStats();
+}
@@ -0,0 +1,16 @@
+// Runs the balance tuner off the main thread, reporting the best setup after
+// every batch so the panel can show progress live.
+
+import { tuneBalance } from "./tuner.js";
+
+self.onmessage = ({ data }) => {
+  try {
+    const result = tuneBalance({
+      ...data,
+      onProgress: (progress) => self.postMessage({ kind: "progress", ...progress }),
+    });
+    self.postMessage({ kind: "done", ...result });
+  } catch (error) {
+    self.postMessage({ kind: "error", message: error.message });
+  }
+};
@@ -0,0 +1,238 @@
+// Balance tuner. Given the win rate each type should have in a free-for-all at
+// equal counts and some stats that may move within bounds, it nudges those
+// stats one at a time, keeping a nudge whenever headless battles say it brings
+// the win rates closer to the targets, and halves its steps once no nudge
+// helps. Every batch fights the same seeds so that two setups differ by their
+// stats rather than the dice. Probing a stat up and down also measures how
+// hard it pulls on each type's win rate, which makes the sensitivity report.
+
+import { batchRunSeed, summarizeBatch } from "./batch.js";
+import { RATIO_LIMITS, runBattle } from "./simulation.js";
+import { STAT_LIMITS, TYPE_CONFIG, normalizeUnitType } from "./unit-types.js";
+
+// Stats that change how a fight goes. Cost is left out since it only matters
+// when armies are bought.
+export const TUNABLE_STATS = ["hp", "damage", "heal", "speed", "range", "cooldown", "size", "mass", "armor", "resistance"];
+
+export const STAT_LABELS = {
+  hp: "Hit Points",
+  damage: "Damage",
+  heal: "Heal",
+  speed: "Speed",
+  range: "Range",
+  cooldown: "Cooldown",
+  size: "Size",
+  mass: "Mass",
+  armor: "Armor",
+  resistance: "Resistance",
+};
+
+// Tuned values are rounded to these steps; stats not listed to whole numbers
+const STAT_PRECISION = { cooldown: 0.05, mass: 0.1 };
+
+// The first nudge is this share of a stat's bounds, and tuning stops once
+// every nudge has been halved below the last share
+const FIRST_STEP = 0.2;
+const LAST_STEP = 0.02;
+
+// Sensitivities are reported per this share of a stat's bounds so stats with
+// very different scales compare fairly
+const REPORT_STEP = 0.1;
+
+// Equal shares for every type, e.g. a third each for the three built-ins
+export function equalTargets(types = TYPE_CONFIG) {
+  const ids = Object.keys(types);
+  return Object.fromEntries(ids.map((type) => [type, 1 / ids.length]));
+}
+
+// Sum of squared misses over the types with a target
+export function balanceError(rates, targets) {
+  return Object.entries(targets).reduce((sum, [type, target]) => sum + ((rates[type] ?? 0) - target) ** 2, 0);
+}
+
+function roundStat(stat, value) {
+  const precision = STAT_PRECISION[stat] ?? 1;
+  return Math.round(Math.round(value / precision) * precision * 100) / 100;
+}
+
+// Check the tunables against the registry and clamp their bounds to what the
+// stat allows. Throws with a message fit to show the user.
+function normalizeTunables(tunables, types) {
+  if (!tunables?.length) {
+    throw new Error("Pick at least one stat for the tuner to adjust.");
+  }
+  const seen = new Set();
+  return tunables.map(({ type, stat, min, max }) => {
+    if (!types[type]) {
+      throw new Error(`There is no unit type "${type}" to tune.`);
+    }
+    if (!TUNABLE_STATS.includes(stat)) {
+      throw new Error(`"${stat}" is not a stat the tuner can adjust.`);
+    }
+    const key = `${type}.${stat}`;
+    if (seen.has(key)) {
+      throw new Error(`${types[type].name} ${STAT_LABELS[stat]} is listed twice.`);
+    }
+    seen.add(key);
+    const limits = STAT_LIMITS[stat];
+    const low = roundStat(stat, Math.min(limits.max, Math.max(limits.min, Number(min))));
+    const high = roundStat(stat, Math.min(limits.max, Math.max(limits.min, Number(max))));
+    if (!Number.isFinite(low) || !Number.isFinite(high) || low >= high) {
+      throw new Error(`${types[type].name} ${STAT_LABELS[stat]} needs a lower bound below its upper one.`);
+    }
+    return { type, stat, min: low, max: high };
+  });
+}
+
+// A copy of the types with one stat changed. A new range drops the kiting
+// band so it follows the range, as it does in the unit editor.
+function withStat(types, type, stat, value) {
+  const definition = { ...types[type], [stat]: value };
+  if (stat === "range") {
+    delete definition.preferred;
+  }
+  return { ...types, [type]: normalizeUnitType(type, definition) };
+}
+
+// Win rate of every type in a free-for-all over a fixed set of battle seeds;
+// draws and timeouts count against all of them
+export function evaluateBalance(types, { unitsPerType, runs, seed, layout, map, matchups, maxTime }) {
+  const ids = Object.keys(types);
+  const counts = Object.fromEntries(ids.map((type) => [type, unitsPerType]));
+  const results = [];
+  for (let i = 0; i < runs; i += 1) {
+    results.push(runBattle(counts, { seed: batchRunSeed(seed, i), types, layout, map, matchups, maxTime }));
+  }
+  const { outcomes } = summarizeBatch(results, ids);
+  return Object.fromEntries(ids.map((type) => [type, outcomes[type].rate]));
+}
+
+// Run the tuner. targets maps type ids to win rate shares (default equal);
+// tunables lists { type, stat, min, max }; layout, map and matchups set the
+// battlefield as in runBattle. onProgress({ iteration, iterations, batches,
+// battles, error, rates, values }) is called after every batch with the best
+// setup so far. Returns the proposed types, their win rates on the tuning
+// seeds and on fresh ones, and the sensitivity report, strongest stat first.
+export function tuneBalance({
+  types = TYPE_CONFIG,
+  targets = equalTargets(types),
+  tunables,
+  unitsPerType = 5,
+  runs = 40,
+  iterations = 6,
+  seed,
+  layout,
+  map,
+  matchups,
+  maxTime,
+  onProgress,
+} = {}) {
+  const stats = normalizeTunables(tunables, types);
+  unitsPerType = Math.min(RATIO_LIMITS.max, Math.max(1, Math.round(unitsPerType)));
+  const battlefield = { unitsPerType, runs, layout, map, matchups, maxTime };
+  const tuningSeed = `${seed}:tuner`;
+  let batches = 0;
+  let battles = 0;
+  let iteration = 1;
+
+  function evaluate(candidateTypes, batchSeed = tuningSeed) {
+    const rates = evaluateBalance(candidateTypes, { ...battlefield, seed: batchSeed });
+    batches += 1;
+    battles += runs;
+    return { types: candidateTypes, rates, error: balanceError(rates, targets) };
+  }
+
+  // Start from the registry with every tuned stat pulled inside its bounds
+  let start = types;
+  for (const { type, stat, min, max } of stats) {
+    const value = Math.min(max, Math.max(min, start[type][stat]));
+    if (value !== start[type][stat]) {
+      start = withStat(start, type, stat, value);
+    }
+  }
+  let best = evaluate(start);
+  const steps = stats.map(({ min, max }) => (max - min) * FIRST_STEP);
+  const slopes = stats.map(() => null);
+
+  function report() {
+    onProgress?.({
+      iteration,
+      iterations,
+      batches,
+      battles,
+      error: best.error,
+      rates: best.rates,
+      values: stats.map(({ type, stat }) => best.types[type][stat]),
+    });
+  }
+
+  report();
+  for (; iteration <= iterations; iteration += 1) {
+    let improved = false;
+    stats.forEach(({ type, stat, min, max }, i) => {
+      const value = best.types[type][stat];
+      const probes = [value + steps[i], value - steps[i]]
+        .map((next) => roundStat(stat, Math.min(max, Math.max(min, next))))
+        .filter((next, index, all) => next !== value && all.indexOf(next) === index)
+        .map((next) => ({ value: next, ...evaluate(withStat(best.types, type, stat, next)) }));
+      if (probes.length > 0) {
+        // Win rate change per unit of the stat, across both probes when the
+        // bounds allowed two and against the current value otherwise
+        const [high, low] = probes.length === 2 ? probes : [probes[0], { value, rates: best.rates }];
+        slopes[i] = Object.fromEntries(
+          Object.keys(best.rates).map((key) => [key, (high.rates[key] - low.rates[key]) / (high.value - low.value)])
+        );
+        const winner = probes.reduce((a, b) => (b.error < a.error ? b : a));
+        if (winner.error < best.error) {
+          best = winner;
+          improved = true;
+        }
+      }
+      report();
+    });
+    if (!improved) {
+      const finest = stats.map(({ stat, min, max }) => Math.max((max - min) * LAST_STEP, STAT_PRECISION[stat] ?? 1));
+      if (steps.every((step, i) => step <= finest[i])) {
+        break;
+      }
+      steps.forEach((step, i) => {
+        steps[i] = Math.max(step / 2, finest[i]);
+      });
+    }
+  }
+  iteration = Math.min(iteration, iterations);
+
+  // The tuning seeds have been optimised against, so check on fresh ones
+  const check = evaluate(best.types, `${seed}:tuner-check`);
+  report();
+
+  const sensitivity = stats
+    .map(({ type, stat, min, max }, i) => {
+      const effects = Object.fromEntries(
+        Object.entries(slopes[i] ?? {}).map(([key, slope]) => [key, slope * (max - min) * REPORT_STEP])
+      );
+      return {
+        type,
+        stat,
+        min,
+        max,
+        from: types[type][stat],
+        to: best.types[type][stat],
+        step: roundStat(stat, (max - min) * REPORT_STEP),
+        effects,
+        strength: Math.max(0, ...Object.values(effects).map(Math.abs)),
+      };
+    })
+    .sort((a, b) => b.strength - a.strength);
+
+  return {
+    types: best.types,
+    targets,
+    rates: best.rates,
+    error: best.error,
+    check: { rates: check.rates, error: check.error },
+    sensitivity,
+    batches,
+    battles,
+  };
+}
@@ -0,0 +1,242 @@
+// In-page editor for the unit type registry. Custom and edited types are kept
+// in localStorage so they survive a reload.
+
+import {
+  ABILITIES,
+  APPROACHES,
+  ARCHETYPES,
+  DEFAULT_APPROACHES,
+  SHAPES,
+  STAT_LIMITS,
+  TARGETING_POLICIES,
+  TYPE_CONFIG,
+  WAVEFORMS,
+  isBuiltinType,
+  onUnitTypesChange,
+  registerUnitType,
+  removeUnitType,
+  replaceUnitTypes,
+  resetUnitTypes,
+} from "./unit-types.js";
+
+const STORAGE_KEY = "ratio-arena.unit-types";
+
+// What "New Type" starts from: a support unit that none of the built-ins cover
+const NEW_TYPE_TEMPLATE = {
+  name: "Pentagons",
+  title: "Pentagon Healers",
+  color: "#7cf29c",
+  shape: "pentagon",
+  archetype: "healer",
+  approach: "charge",
+  targeting: "protect-allies",
+  abilities: ["iron-skin"],
+  speed: 100,
+  hp: 70,
+  damage: 4,
+  heal: 6,
+  range: 40,
+  cooldown: 1.2,
+  size: 13,
+  mass: 1.5,
+  armor: 0,
+  resistance: 0,
+  cost: 4,
+  sound: { wave: "triangle", pitch: 500, spread: 120, duration: 0.2 },
+  label: "Pentagons keep their allies standing.",
+};
+
+function loadSavedTypes() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      replaceUnitTypes(JSON.parse(saved));
+    }
+  } catch (error) {
+    console.warn("Ignoring saved unit types:", error);
+  }
+}
+
+function saveTypes() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(TYPE_CONFIG));
+  } catch (error) {
+    console.warn("Could not save unit types:", error);
+  }
+}
+
+function forgetSavedTypes() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn("Could not clear saved unit types:", error);
+  }
+}
+
+export function initUnitEditor() {
+  const list = document.getElementById("unit-list");
+  const form = document.getElementById("unit-form");
+  const saveBtn = document.getElementById("unit-save-btn");
+  const newBtn = document.getElementById("unit-new-btn");
+  const resetBtn = document.getElementById("unit-reset-btn");
+  const status = document.getElementById("unit-status");
+  const abilityPicks = document.getElementById("unit-abilities");
+  const fields = form.elements;
+  let selectedId = null;
+
+  fields.shape.append(...SHAPES.map((shape) => new Option(shape, shape)));
+  fields.archetype.append(...ARCHETYPES.map((archetype) => new Option(archetype, archetype)));
+  fields.approach.append(...APPROACHES.map((approach) => new Option(approach, approach)));
+  fields.targeting.append(...TARGETING_POLICIES.map((policy) => new Option(policy, policy)));
+  fields.wave.append(...WAVEFORMS.map((wave) => new Option(wave, wave)));
+  for (const [key, limits] of Object.entries(STAT_LIMITS)) {
+    fields[key].min = limits.min;
+    fields[key].max = limits.max;
+  }
+  const abilityBoxes = ABILITIES.map((ability) => {
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = ability;
+    label.append(box, ability);
+    abilityPicks.append(label);
+    return box;
+  });
+
+  function fillForm(id, definition) {
+    fields.id.value = id;
+    const keys = ["name", "title", "shape", "archetype", "approach", "targeting", "color", "label"];
+    for (const key of [...keys, ...Object.keys(STAT_LIMITS)]) {
+      fields[key].value = definition[key];
+    }
+    for (const box of abilityBoxes) {
+      box.checked = definition.abilities.includes(box.value);
+    }
+    fields.wave.value = definition.sound.wave;
+    fields.pitch.value = definition.sound.pitch;
+  }
+
+  function readForm() {
+    const id = fields.id.value.trim();
+    const existing = TYPE_CONFIG[id];
+    const definition = {
+      name: fields.name.value,
+      title: fields.title.value,
+      shape: fields.shape.value,
+      archetype: fields.archetype.value,
+      approach: fields.approach.value,
+      targeting: fields.targeting.value,
+      abilities: abilityBoxes.filter((box) => box.checked).map((box) => box.value),
+      color: fields.color.value,
+      label: fields.label.value,
+      sound: { ...(existing?.sound ?? NEW_TYPE_TEMPLATE.sound), wave: fields.wave.value, pitch: fields.pitch.value },
+    };
+    for (const key of Object.keys(STAT_LIMITS)) {
+      definition[key] = fields[key].value;
+    }
+    // Keep a hand-tuned kiting band unless the range it was tuned for changed
+    if (existing?.preferred && Number(definition.range) === existing.range) {
+      definition.preferred = existing.preferred;
+    }
+    return { id, definition };
+  }
+
+  function renderList() {
+    const items = Object.entries(TYPE_CONFIG).map(([id, config]) => {
+      const item = document.createElement("li");
+      item.style.setProperty("--unit-color", config.color);
+      const pick = document.createElement("button");
+      pick.type = "button";
+      pick.classList.toggle("selected", id === selectedId);
+      const swatch = document.createElement("span");
+      swatch.className = "swatch";
+      pick.append(swatch, `${config.name} · ${config.archetype}`);
+      pick.addEventListener("click", () => selectType(id));
+      item.append(pick);
+      if (!isBuiltinType(id)) {
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "remove";
+        remove.textContent = "✕";
+        remove.title = `Remove ${config.name}`;
+        remove.addEventListener("click", () => deleteType(id));
+        item.append(remove);
+      }
+      return item;
+    });
+    list.replaceChildren(...items);
+  }
+
+  function selectType(id) {
+    selectedId = id;
+    fillForm(id, TYPE_CONFIG[id]);
+    status.textContent = `Editing ${TYPE_CONFIG[id].name}.`;
+    renderList();
+  }
+
+  function startNewType() {
+    selectedId = null;
+    let id = "pentagon";
+    for (let n = 2; TYPE_CONFIG[id]; n += 1) {
+      id = `pentagon-${n}`;
+    }
+    fillForm(id, NEW_TYPE_TEMPLATE);
+    status.textContent = "New unit type. Adjust it and press Save.";
+    renderList();
+  }
+
+  function saveType() {
+    const { id, definition } = readForm();
+    try {
+      const created = !TYPE_CONFIG[id];
+      registerUnitType(id, definition);
+      selectedId = id;
+      fillForm(id, TYPE_CONFIG[id]);
+      status.textContent = `${created ? "Added" : "Updated"} ${TYPE_CONFIG[id].name}.`;
+    } catch (error) {
+      status.textContent = error.message;
+    }
+  }
+
+  function deleteType(id) {
+    const { name } = TYPE_CONFIG[id];
+    try {
+      removeUnitType(id);
+      if (selectedId === id) {
+        selectedId = null;
+      }
+      status.textContent = `Removed ${name}.`;
+    } catch (error) {
+      status.textContent = error.message;
+    }
+  }
+
+  function restoreDefaults() {
+    resetUnitTypes();
+    forgetSavedTypes();
+    selectType("circle");
+    status.textContent = "Restored the built-in unit types.";
+  }
+
+  onUnitTypesChange(() => {
+    saveTypes();
+    renderList();
+  });
+  loadSavedTypes();
+
+  // A new archetype brings its usual way of moving; pick another afterwards to
+  // compare tactics
+  fields.archetype.addEventListener("change", () => {
+    fields.approach.value = DEFAULT_APPROACHES[fields.archetype.value];
+  });
+  saveBtn.addEventListener("click", saveType);
+  newBtn.addEventListener("click", startNewType);
+  resetBtn.addEventListener("click", restoreDefaults);
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    saveType();
+  });
+
+  renderList();
+  startNewType();
+}
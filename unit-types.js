@@ -0,0 +1,288 @@
+// Unit type registry. Everything about a type (stats, shape, color, sound,
+// behaviour archetype and tactics) lives here as plain data, so the engine,
+// renderer and UI never need to know which types exist.
+
+export const SHAPES = ["circle", "square", "triangle", "diamond", "pentagon", "hexagon"];
+
+// Archetypes pick the movement/attack rules a type follows in the engine:
+// - skirmisher: fast melee that sticks and moves after every hit
+// - tank: closes in and trades blows
+// - ranged: kites at its preferred band and fires projectiles
+// - healer: patches up injured allies, brawls when nobody needs healing
+export const ARCHETYPES = ["skirmisher", "tank", "ranged", "healer"];
+
+// Approaches set how a unit closes in on its target (behaviours.js); the
+// archetype adds its own touches on top, like a skirmisher's stick-and-move
+// or a ranged unit dodging shots:
+// - charge: straight at it until the bodies touch
+// - flank: swing round to its back first
+// - kite: hold a band just inside attack range and strafe
+export const APPROACHES = ["charge", "flank", "kite"];
+
+export const DEFAULT_APPROACHES = { skirmisher: "charge", tank: "charge", ranged: "kite", healer: "charge" };
+
+// Targeting policies pick which enemy a unit goes after:
+// - nearest: the closest one
+// - lowest-hp: the weakest one close by, to finish units off
+// - protect-allies: whoever is closest to the most badly hurt ally nearby
+export const TARGETING_POLICIES = ["nearest", "lowest-hp", "protect-allies"];
+
+// Abilities a type can have on top of its archetype (abilities.js). Active
+// ones fire on a cooldown of their own when their moment comes, passive ones
+// every time:
+// - shield-bash: a melee blow that stuns the target
+// - dash: a burst of speed to close on a target a little way off
+// - piercing-shot: shots carry on through the first enemies they hit
+// - splash-shot: every few seconds a shot bursts, hurting and burning those
+//   around the one it hits
+// - frost: every hit slows the target for a moment
+// - iron-skin: braces for a few seconds of armor once badly hurt
+// Abilities that don't fit the archetype, like a piercing shot on a melee
+// unit, simply never come up. The built-in types have none, so the classic
+// matchups play as they always have until a type is given some in the editor.
+export const ABILITIES = ["shield-bash", "dash", "piercing-shot", "splash-shot", "frost", "iron-skin"];
+
+export const WAVEFORMS = ["sine", "triangle", "square", "sawtooth"];
+
+export const STAT_LIMITS = {
+  hp: { min: 1, max: 1000 },
+  damage: { min: 0, max: 200 },
+  heal: { min: 0, max: 200 },
+  speed: { min: 10, max: 400 },
+  range: { min: 5, max: 300 },
+  cooldown: { min: 0.1, max: 10 },
+  size: { min: 4, max: 40 },
+  // How hard a unit is to shove around in a crowd, relative to a circle
+  mass: { min: 0.1, max: 20 },
+  // Percent of melee damage shrugged off, and of projectile damage
+  armor: { min: 0, max: 90 },
+  resistance: { min: 0, max: 90 },
+  // Points one unit costs when building an army against a budget
+  cost: { min: 1, max: 100 },
+};
+
+export const BUILTIN_TYPES = {
+  circle: {
+    name: "Circles",
+    title: "Circle Skirmishers",
+    color: "#6dd3ff",
+    shape: "circle",
+    archetype: "skirmisher",
+    abilities: [],
+    speed: 140,
+    hp: 55,
+    damage: 9,
+    heal: 0,
+    range: 18,
+    cooldown: 0.55,
+    size: 10,
+    mass: 1,
+    armor: 0,
+    resistance: 0,
+    cost: 3,
+    // Higher pitch, quick "pop" or "zap" sound
+    sound: { wave: "sine", pitch: 600, spread: 200, duration: 0.15 },
+    label: "Circles dominate with speed.",
+  },
+  square: {
+    name: "Squares",
+    title: "Square Guardians",
+    color: "#ffc857",
+    shape: "square",
+    archetype: "tank",
+    abilities: [],
+    speed: 91,
+    hp: 130,
+    damage: 18,
+    heal: 0,
+    range: 22,
+    cooldown: 1.2,
+    size: 16,
+    mass: 3,
+    armor: 0,
+    resistance: 0,
+    cost: 5,
+    // Lower pitch, deeper "thud" or "crunch" sound
+    sound: { wave: "sawtooth", pitch: 150, spread: 100, duration: 0.25 },
+    label: "Squares soak damage and hit hard.",
+  },
+  triangle: {
+    name: "Triangles",
+    title: "Triangle Rangers",
+    color: "#ff6f91",
+    shape: "triangle",
+    archetype: "ranged",
+    abilities: [],
+    speed: 90,
+    hp: 85,
+    damage: 7,
+    heal: 0,
+    range: 60,
+    cooldown: 0.8,
+    size: 14,
+    mass: 1.5,
+    armor: 0,
+    resistance: 0,
+    cost: 4,
+    preferred: { min: 40, max: 55 },
+    // Medium pitch, "ping" or "chime" sound
+    sound: { wave: "sine", pitch: 400, spread: 150, duration: 0.2 },
+    label: "Triangles strike from afar.",
+  },
+};
+
+// The live registry. Mutated in place so every importer sees the same types.
+export const TYPE_CONFIG = {};
+
+const listeners = new Set();
+
+function clampStat(key, value, fallback) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+  const { min, max } = STAT_LIMITS[key];
+  return Math.min(max, Math.max(min, parsed));
+}
+
+// Types saved before mass existed weigh in by their footprint, a size-10
+// circle being 1
+function defaultMass(size) {
+  return Math.round((size / 10) ** 2 * 10) / 10;
+}
+
+// Types saved before costs existed are priced by how long they last times how
+// hard they hit (or heal), which puts the built-ins close to their own prices
+function defaultCost({ hp, damage, heal, cooldown }) {
+  return Math.max(STAT_LIMITS.cost.min, Math.round(Math.sqrt((hp * Math.max(damage, heal)) / cooldown) / 9));
+}
+
+function statFallback(key, normalized, base) {
+  if (key === "mass") return defaultMass(normalized.size);
+  if (key === "cost") return defaultCost(normalized);
+  return base[key];
+}
+
+// Turn user input (editor fields, imported JSON) into a complete definition.
+// Unknown or missing numbers fall back to a square-like baseline; structural
+// problems throw with a message fit to show the user.
+export function normalizeUnitType(id, definition) {
+  if (!/^[a-z][a-z0-9-]{0,23}$/.test(id)) {
+    throw new Error(`"${id}" is not a valid type id. Use lowercase letters, digits and dashes.`);
+  }
+  const name = String(definition.name ?? "").trim();
+  if (!name) {
+    throw new Error(`Unit type "${id}" needs a display name.`);
+  }
+  if (!SHAPES.includes(definition.shape)) {
+    throw new Error(`Unit type "${id}" has unknown shape "${definition.shape}".`);
+  }
+  if (!ARCHETYPES.includes(definition.archetype)) {
+    throw new Error(`Unit type "${id}" has unknown archetype "${definition.archetype}".`);
+  }
+  const approach = definition.approach ?? DEFAULT_APPROACHES[definition.archetype];
+  if (!APPROACHES.includes(approach)) {
+    throw new Error(`Unit type "${id}" has unknown approach "${approach}".`);
+  }
+  const targeting = definition.targeting ?? "nearest";
+  if (!TARGETING_POLICIES.includes(targeting)) {
+    throw new Error(`Unit type "${id}" has unknown targeting policy "${targeting}".`);
+  }
+  const abilities = definition.abilities ?? [];
+  if (!Array.isArray(abilities)) {
+    throw new Error(`Unit type "${id}" needs its abilities as a list.`);
+  }
+  const unknown = abilities.find((ability) => !ABILITIES.includes(ability));
+  if (unknown !== undefined) {
+    throw new Error(`Unit type "${id}" has unknown ability "${unknown}".`);
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(definition.color ?? "")) {
+    throw new Error(`Unit type "${id}" needs a color like #a1b2c3.`);
+  }
+
+  const base = BUILTIN_TYPES.square;
+  const normalized = {
+    name,
+    title: String(definition.title ?? "").trim() || name,
+    color: definition.color.toLowerCase(),
+    shape: definition.shape,
+    archetype: definition.archetype,
+    approach,
+    targeting,
+    abilities: ABILITIES.filter((ability) => abilities.includes(ability)),
+    label: String(definition.label ?? "").trim(),
+  };
+  for (const key of Object.keys(STAT_LIMITS)) {
+    normalized[key] = clampStat(key, definition[key], statFallback(key, normalized, base));
+  }
+  // Whole points only, so army totals stay readable
+  normalized.cost = Math.round(normalized.cost);
+
+  const sound = definition.sound ?? {};
+  normalized.sound = {
+    wave: WAVEFORMS.includes(sound.wave) ? sound.wave : "sine",
+    pitch: Math.min(2000, Math.max(40, Number(sound.pitch) || 300)),
+    spread: Math.min(1000, Math.max(0, Number(sound.spread) || 0)),
+    duration: Math.min(1, Math.max(0.05, Number(sound.duration) || 0.15)),
+  };
+
+  if (normalized.approach === "kite") {
+    // Kite just inside attack range unless the definition says otherwise
+    const preferred = definition.preferred ?? {};
+    const min = Number(preferred.min) || normalized.range * 0.67;
+    const max = Number(preferred.max) || normalized.range * 0.92;
+    normalized.preferred = {
+      min: Math.min(min, normalized.range),
+      max: Math.min(Math.max(max, min), normalized.range),
+    };
+  }
+  return normalized;
+}
+
+function notify() {
+  listeners.forEach((listener) => listener(TYPE_CONFIG));
+}
+
+export function onUnitTypesChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function isBuiltinType(id) {
+  return Object.hasOwn(BUILTIN_TYPES, id);
+}
+
+export function registerUnitType(id, definition) {
+  TYPE_CONFIG[id] = normalizeUnitType(id, definition);
+  notify();
+  return TYPE_CONFIG[id];
+}
+
+export function removeUnitType(id) {
+  if (isBuiltinType(id)) {
+    throw new Error(`${TYPE_CONFIG[id]?.name ?? id} is built in and cannot be removed.`);
+  }
+  delete TYPE_CONFIG[id];
+  notify();
+}
+
+// Replace the whole registry at once, e.g. when loading saved custom types.
+export function replaceUnitTypes(definitions) {
+  const next = {};
+  for (const [id, definition] of Object.entries(definitions)) {
+    next[id] = normalizeUnitType(id, definition);
+  }
+  for (const id of Object.keys(TYPE_CONFIG)) {
+    delete TYPE_CONFIG[id];
+  }
+  Object.assign(TYPE_CONFIG, next);
+  notify();
+}
+
+export function resetUnitTypes() {
+  replaceUnitTypes(BUILTIN_TYPES);
+}
+
+for (const [id, definition] of Object.entries(BUILTIN_TYPES)) {
+  TYPE_CONFIG[id] = normalizeUnitType(id, definition);
+}